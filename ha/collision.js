@@ -0,0 +1,117 @@
+// Collision detection for Harrier Runner.
+// Every entity carries a hitbox set: one or more rectangles, placed relative to the
+// entity's centre, that follow the shapes its draw() paints (body, wings, fins...).
+// A uniform grid narrows down which pairs are worth testing, so the cost grows with
+// what's actually near each other rather than with every bullet times every enemy.
+// Loaded before sketch.js; doesn't depend on p5.
+
+// --- Hitboxes ---
+
+// Builds a hitbox set from [dx, dy, w, h] rectangles, (dx, dy) being the rectangle's
+// centre relative to the entity's. The set's overall bounds are worked out once here.
+function createHitboxes(rects) {
+  const boxes = rects.map(([dx, dy, w, h]) => ({ dx: dx, dy: dy, w: w, h: h }));
+  return {
+    boxes: boxes,
+    left: Math.min(...boxes.map(box => box.dx - box.w / 2)),
+    right: Math.max(...boxes.map(box => box.dx + box.w / 2)),
+    top: Math.min(...boxes.map(box => box.dy - box.h / 2)),
+    bottom: Math.max(...boxes.map(box => box.dy + box.h / 2))
+  };
+}
+
+// Whether any rectangle of one entity overlaps any rectangle of the other
+function hitboxesOverlap(a, b) {
+  const ha = a.hitboxes;
+  const hb = b.hitboxes;
+  // Cheap rejection on the overall bounds first
+  if (a.x + ha.right <= b.x + hb.left || a.x + ha.left >= b.x + hb.right ||
+      a.y + ha.bottom <= b.y + hb.top || a.y + ha.top >= b.y + hb.bottom) {
+    return false;
+  }
+  for (let boxA of ha.boxes) {
+    const ax = a.x + boxA.dx;
+    const ay = a.y + boxA.dy;
+    for (let boxB of hb.boxes) {
+      if (Math.abs(ax - (b.x + boxB.dx)) * 2 < boxA.w + boxB.w &&
+          Math.abs(ay - (b.y + boxB.dy)) * 2 < boxA.h + boxB.h) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// --- Spatial Grid ---
+
+// Cell key for grid coordinates; unique while both stay within +/-32768 cells
+function gridKey(cx, cy) {
+  return (cx + 32768) * 65536 + (cy + 32768);
+}
+
+// A uniform grid for the broad phase. Refill it each tick: clear(), insert() the
+// entities to test against, then query() with each entity to test.
+function createSpatialGrid(cellSize) {
+  return {
+    cellSize: cellSize,
+    cells: new Map(), // Cell key -> entities whose bounds touch that cell
+    filled: [], // Cells with entities in them, so clear() can empty just those
+    stamp: 0, // Marks entities already returned by the current query
+
+    clear: function() {
+      for (let cell of this.filled) {
+        cell.length = 0;
+      }
+      this.filled.length = 0;
+    },
+
+    insert: function(entity) {
+      const hitboxes = entity.hitboxes;
+      const x0 = Math.floor((entity.x + hitboxes.left) / this.cellSize);
+      const x1 = Math.floor((entity.x + hitboxes.right) / this.cellSize);
+      const y0 = Math.floor((entity.y + hitboxes.top) / this.cellSize);
+      const y1 = Math.floor((entity.y + hitboxes.bottom) / this.cellSize);
+      for (let cx = x0; cx <= x1; cx++) {
+        for (let cy = y0; cy <= y1; cy++) {
+          const key = gridKey(cx, cy);
+          let cell = this.cells.get(key);
+          if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+          }
+          if (cell.length === 0) {
+            this.filled.push(cell);
+          }
+          cell.push(entity);
+        }
+      }
+    },
+
+    // Fills `out` with the inserted entities sharing a cell with `entity`, each once,
+    // and returns it. They may still miss; test them with hitboxesOverlap().
+    query: function(entity, out) {
+      out.length = 0;
+      const stamp = ++this.stamp;
+      const hitboxes = entity.hitboxes;
+      const x0 = Math.floor((entity.x + hitboxes.left) / this.cellSize);
+      const x1 = Math.floor((entity.x + hitboxes.right) / this.cellSize);
+      const y0 = Math.floor((entity.y + hitboxes.top) / this.cellSize);
+      const y1 = Math.floor((entity.y + hitboxes.bottom) / this.cellSize);
+      for (let cx = x0; cx <= x1; cx++) {
+        for (let cy = y0; cy <= y1; cy++) {
+          const cell = this.cells.get(gridKey(cx, cy));
+          if (!cell) {
+            continue;
+          }
+          for (let other of cell) {
+            if (other.gridStamp !== stamp) {
+              other.gridStamp = stamp;
+              out.push(other);
+            }
+          }
+        }
+      }
+      return out;
+    }
+  };
+}
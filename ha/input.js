@@ -0,0 +1,227 @@
+// Input for Harrier Runner: keyboard, gamepad and touch all feed the same four actions
+// (up, down, fire, bomb), so the game only asks "is this action held?" or "was it
+// just pressed?". Keyboard bindings can be changed on the controls screen and are
+// kept in localStorage.
+// Loaded before sketch.js; uses p5's keyIsDown() and touches.
+
+// --- Configuration ---
+const KEY_BINDINGS_STORAGE_KEY = 'harrierRunner.keyBindings';
+const ACTIONS = ['up', 'down', 'fire', 'bomb'];
+const ACTION_NAMES = { up: 'Move up', down: 'Move down', fire: 'Shoot', bomb: 'Bomb' };
+const DEFAULT_KEY_BINDINGS = { up: [38, 87], down: [40, 83], fire: [32], bomb: [66] }; // Arrows or W/S, space, B
+const RESERVED_KEYS = [13, 27]; // Enter and Escape drive the menus and can't be bound
+// Standard gamepad layout: d-pad up/down, A/RB/RT to shoot, B/Y to bomb, Start
+const GAMEPAD_BUTTONS = { up: [12], down: [13], fire: [0, 5, 7], bomb: [1, 3], start: [9] };
+const GAMEPAD_DEADZONE = 0.4; // Stick travel ignored around the centre
+// Touch controls: a stick in the bottom left, fire and bomb buttons in the bottom right
+const TOUCH_STICK_RADIUS = 60;
+const TOUCH_FIRE_RADIUS = 45;
+const TOUCH_BOMB_RADIUS = 30;
+const TOUCH_MUTE_RADIUS = 24;
+const TOUCH_MARGIN = 40;
+const KEY_NAMES = {
+  8: 'BACKSPACE', 9: 'TAB', 13: 'ENTER', 27: 'ESC', 16: 'SHIFT', 17: 'CTRL', 18: 'ALT', 32: 'SPACE',
+  37: '←', 38: '↑', 39: '→', 40: '↓',
+  186: ';', 187: '=', 188: ',', 189: '-', 190: '.', 191: '/', 192: '`', 219: '[', 220: '\\', 221: ']', 222: "'"
+};
+
+// --- Global Variables ---
+let keyBindings = loadKeyBindings(); // Action -> key codes
+let gamepadHeld = {}; // Action -> held on the gamepad at the last poll
+let touchHeld = {}; // Action -> held on the touch controls
+let touchStick = null; // Where the stick is being pushed, for drawing
+let touchControlsVisible = false; // Shown once the screen has been touched
+const actionPresses = new Set(); // Actions pressed since the game last took them
+
+// --- Key Bindings ---
+
+function loadKeyBindings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEY_BINDINGS_STORAGE_KEY));
+    if (saved && ACTIONS.every(action => Array.isArray(saved[action]) && saved[action].every(Number.isInteger))) {
+      return saved;
+    }
+  } catch (error) {
+    console.warn('Could not read the key bindings, using the defaults:', error);
+  }
+  return JSON.parse(JSON.stringify(DEFAULT_KEY_BINDINGS));
+}
+
+function saveKeyBindings() {
+  try {
+    localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(keyBindings));
+  } catch (error) {
+    console.error('Could not save the key bindings:', error);
+  }
+}
+
+// Makes `code` the only key for `action`, taking it away from any other action.
+// Returns false for keys that can't be bound.
+function bindKey(action, code) {
+  if (RESERVED_KEYS.includes(code)) {
+    return false;
+  }
+  for (let other of ACTIONS) {
+    keyBindings[other] = keyBindings[other].filter(bound => bound !== code);
+  }
+  keyBindings[action] = [code];
+  saveKeyBindings();
+  return true;
+}
+
+function resetKeyBindings() {
+  keyBindings = JSON.parse(JSON.stringify(DEFAULT_KEY_BINDINGS));
+  saveKeyBindings();
+}
+
+// The action a key is bound to, or undefined
+function actionForKey(code) {
+  return ACTIONS.find(action => keyBindings[action].includes(code));
+}
+
+function keyName(code) {
+  if (KEY_NAMES[code]) {
+    return KEY_NAMES[code];
+  }
+  if ((code >= 48 && code <= 57) || (code >= 65 && code <= 90)) {
+    return String.fromCharCode(code); // Digits and letters
+  }
+  return `KEY ${code}`;
+}
+
+// The keys bound to an action, for on-screen instructions
+function bindingLabel(action) {
+  return keyBindings[action].length > 0 ? keyBindings[action].map(keyName).join(' or ') : 'unbound';
+}
+
+// --- Actions ---
+
+function isActionDown(action) {
+  return keyBindings[action].some(code => keyIsDown(code)) || !!gamepadHeld[action] || !!touchHeld[action];
+}
+
+// Records a press to be picked up by takeActionPress(); used for presses that must not
+// be missed between ticks, and for one-shot actions such as bombs
+function pressAction(action) {
+  actionPresses.add(action);
+}
+
+function takeActionPress(action) {
+  return actionPresses.delete(action);
+}
+
+function clearActionPresses() {
+  actionPresses.clear();
+}
+
+// --- Gamepad ---
+
+// Reads the first connected gamepad; newly pressed buttons count as action presses
+function pollGamepad() {
+  const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+  const pad = pads.find(candidate => candidate && candidate.connected);
+  const held = {};
+  if (pad) {
+    for (let action of Object.keys(GAMEPAD_BUTTONS)) {
+      held[action] = GAMEPAD_BUTTONS[action].some(index => pad.buttons[index] && pad.buttons[index].pressed);
+    }
+    const stickY = pad.axes.length > 1 ? pad.axes[1] : 0;
+    held.up = held.up || stickY < -GAMEPAD_DEADZONE;
+    held.down = held.down || stickY > GAMEPAD_DEADZONE;
+  }
+  for (let action of Object.keys(held)) {
+    if (held[action] && !gamepadHeld[action]) {
+      pressAction(action);
+    }
+  }
+  gamepadHeld = held;
+}
+
+function isGamepadConnected() {
+  const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+  return pads.some(pad => pad && pad.connected);
+}
+
+// --- Touch ---
+
+function touchStickCenter() {
+  return { x: TOUCH_MARGIN + TOUCH_STICK_RADIUS, y: windowHeight - TOUCH_MARGIN - TOUCH_STICK_RADIUS };
+}
+
+function touchFireCenter() {
+  return { x: windowWidth - TOUCH_MARGIN - TOUCH_FIRE_RADIUS, y: windowHeight - TOUCH_MARGIN - TOUCH_FIRE_RADIUS };
+}
+
+function touchBombCenter() {
+  const fire = touchFireCenter();
+  return { x: fire.x - TOUCH_FIRE_RADIUS - TOUCH_BOMB_RADIUS - 30, y: fire.y + TOUCH_FIRE_RADIUS - TOUCH_BOMB_RADIUS };
+}
+
+// Top right, below the HUD hints
+function touchMuteCenter() {
+  return { x: windowWidth - TOUCH_MARGIN - TOUCH_MUTE_RADIUS, y: 150 };
+}
+
+function isInCircle(point, center, radius) {
+  return (point.x - center.x) ** 2 + (point.y - center.y) ** 2 <= radius * radius;
+}
+
+// Reads p5's `touches`: a touch on the left half steers, the buttons shoot and bomb, and
+// the small one top right presses 'mute', which the sketch takes as a sound toggle
+function updateTouchControls() {
+  const held = {};
+  touchStick = null;
+  const stick = touchStickCenter();
+  for (let touch of touches) {
+    if (isInCircle(touch, touchMuteCenter(), TOUCH_MUTE_RADIUS * 1.3)) {
+      held.mute = true;
+    } else if (isInCircle(touch, touchFireCenter(), TOUCH_FIRE_RADIUS * 1.3)) {
+      held.fire = true;
+    } else if (isInCircle(touch, touchBombCenter(), TOUCH_BOMB_RADIUS * 1.3)) {
+      held.bomb = true;
+    } else if (touch.x < windowWidth / 2) {
+      // The stick follows the touch anywhere on the left, so it can't be missed
+      const dy = constrain(touch.y - stick.y, -TOUCH_STICK_RADIUS, TOUCH_STICK_RADIUS);
+      touchStick = { x: stick.x, y: stick.y + dy };
+      held.up = dy < -TOUCH_STICK_RADIUS * GAMEPAD_DEADZONE;
+      held.down = dy > TOUCH_STICK_RADIUS * GAMEPAD_DEADZONE;
+    }
+  }
+  for (let action of Object.keys(held)) {
+    if (held[action] && !touchHeld[action]) {
+      pressAction(action);
+    }
+  }
+  touchHeld = held;
+}
+
+// `muted` picks the mute button's label
+function drawTouchControls(muted) {
+  if (!touchControlsVisible) {
+    return;
+  }
+  const stick = touchStickCenter();
+  const fire = touchFireCenter();
+  const bomb = touchBombCenter();
+  const mute = touchMuteCenter();
+  noStroke();
+  // Stick: its track and the knob
+  fill(255, 255, 255, 40);
+  ellipse(stick.x, stick.y, TOUCH_STICK_RADIUS * 2, TOUCH_STICK_RADIUS * 2);
+  fill(255, 255, 255, 110);
+  const knob = touchStick || stick;
+  ellipse(knob.x, knob.y, TOUCH_STICK_RADIUS, TOUCH_STICK_RADIUS);
+  // Buttons light up while held
+  fill(255, 100, 0, touchHeld.fire ? 200 : 90);
+  ellipse(fire.x, fire.y, TOUCH_FIRE_RADIUS * 2, TOUCH_FIRE_RADIUS * 2);
+  fill(255, 60, 60, touchHeld.bomb ? 200 : 90);
+  ellipse(bomb.x, bomb.y, TOUCH_BOMB_RADIUS * 2, TOUCH_BOMB_RADIUS * 2);
+  fill(255, 255, 255, touchHeld.mute ? 200 : 60);
+  ellipse(mute.x, mute.y, TOUCH_MUTE_RADIUS * 2, TOUCH_MUTE_RADIUS * 2);
+  fill(255);
+  textSize(16);
+  text("FIRE", fire.x, fire.y);
+  text("BOMB", bomb.x, bomb.y);
+  textSize(11);
+  text(muted ? "SOUND" : "MUTE", mute.x, mute.y);
+}
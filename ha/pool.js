@@ -0,0 +1,47 @@
+// Object pools for Harrier Runner.
+// Bullets, enemies and pickups come and go many times a second; rather than building a
+// fresh object for each and leaving the old ones to the garbage collector (which shows
+// up as stutter), finished entities go back to their pool and are handed out again.
+// Loaded before sketch.js.
+
+// --- Pools ---
+
+// `create` builds a blank entity when the pool is empty; whoever acquires one
+// sets every field it uses, since it may come back with an earlier entity's values.
+function createPool(create) {
+  return {
+    free: [],
+    acquire: function() {
+      return this.free.length > 0 ? this.free.pop() : create();
+    },
+    release: function(item) {
+      this.free.push(item);
+    },
+    // Returns every item of a list to the pool and empties the list
+    releaseAll: function(items) {
+      for (let item of items) {
+        this.free.push(item);
+      }
+      items.length = 0;
+    }
+  };
+}
+
+// --- Pooled Lists ---
+
+// Removes items[i] and returns it to the pool. The last item takes its place, so
+// nothing is shifted; loops that remove as they go should run backwards.
+function releaseAt(items, i, pool) {
+  pool.release(items[i]);
+  items[i] = items[items.length - 1];
+  items.pop();
+}
+
+// Removes and returns to the pool every item no longer `alive`
+function releaseDead(items, pool) {
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (!items[i].alive) {
+      releaseAt(items, i, pool);
+    }
+  }
+}
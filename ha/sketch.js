@@ -4,23 +4,219 @@ let bullets = [];
 let obstacles = [];
 let stars = []; // For parallax background effect
 let score = 0;
-let gameState = 'START'; // START, PLAYING, GAME_OVER
+let gameState = 'START'; // START, CONTROLS, PLAYING, REPLAY, ENTER_INITIALS, GAME_OVER
 let scrollSpeed = 3;
 let baseScrollSpeed = 3;
-let lastObstacleFrame = 0;
-let obstacleSpawnInterval = 90; // Frames between potential spawns
-let lastShotFrame = 0;
-let fireRate = 15; // Minimum frames between shots
+let lastShotTick = 0;
+let fireRate = 15; // Minimum ticks between shots
+
+// --- Simulation Timing ---
+// The game advances in fixed ticks, independent of the display's refresh rate;
+// draw() runs as many ticks as real time calls for and then renders the result.
+const TICKS_PER_SECOND = 60;
+const TICK_MS = 1000 / TICKS_PER_SECOND;
+const MAX_TICKS_PER_FRAME = 5; // Caps the catch-up after a stall (e.g. a background tab)
+let tick = 0; // Ticks since the run started
+let tickAccumulator = 0; // Real time (ms) not yet simulated
+let playfield = { w: 0, h: 0 }; // Size the run is simulated at, fixed per run so replays match
+
+// --- Seeded Random Numbers ---
+// Everything that shapes a run draws from this generator, never from p5 random(),
+// so the same seed and inputs always play out the same way. Stars are only
+// decoration and keep using random().
+let rngState = 0;
+
+// --- Lives and Power-ups ---
+const START_LIVES = 3;
+const MAX_BOMBS = 3;
+const INVULNERABLE_TICKS = 120; // Grace period after a hit
+const POWERUP_DROP_CHANCE = 0.2; // Chance a shot-down obstacle drops a pickup
+// Timed power-ups last `duration` ticks; picking one up again restarts its timer.
+// Bombs are kept (up to MAX_BOMBS) and set off with B.
+const POWERUPS = {
+  SHIELD: { label: 'S', name: 'Shield', color: [0, 200, 255], duration: 600 },
+  SPREAD: { label: 'W', name: 'Spread', color: [255, 140, 0], duration: 600 },
+  RAPID: { label: 'R', name: 'Rapid', color: [255, 230, 0], duration: 480 },
+  MULTIPLIER: { label: 'x2', name: 'Score x2', color: [180, 80, 255], duration: 600 },
+  BOMB: { label: 'B', name: 'Bomb', color: [255, 60, 60], duration: 0 }
+};
+let lives = START_LIVES;
+let bombs = 0;
+let invulnerableUntil = 0; // Tick the post-hit grace period ends
+let activePowerUps = {}; // Power-up type -> tick it runs out
+let powerUps = []; // Pickups drifting across the playfield
+let bombFlashUntil = 0; // Tick the screen flash of the last bomb ends
+const SCORE_MILESTONE = 5000; // Points between the milestone jingles
+let nextMilestone = SCORE_MILESTONE;
+
+// --- Levels and Enemies ---
+// Levels are JSON files played in order, looping back to the first once the last
+// boss is down. A level looks like:
+//   {
+//     "name": "Coastline",
+//     "clearBonus": 500,
+//     "waves": [
+//       { "time": 2, "enemy": "ENEMY_JET", "count": 5, "formation": "v", "y": 0.4, "spacing": 45,
+//         "movement": "sine", "amplitude": 80, "period": 2, "speed": 1, "fires": true, "fireInterval": 2 }
+//     ],
+//     "boss": { "name": "Sea Fortress", "health": 25, "points": 1000, "fireInterval": 1.4,
+//               "shots": 3, "spread": 15, "amplitude": 120, "period": 5 }
+//   }
+// Times, periods and fire intervals are in seconds; "time" counts from the start of the level.
+// Waves: "enemy" is a key of ENEMY_TYPES; "formation" is line, column, v or scatter; "y" is
+// the formation's height as a fraction of the playfield (random if left out); "spacing" is
+// in pixels; "movement" is straight, sine, dive (swoops at the player) or homing (steers
+// after the player); "speed" scales the enemy's speed; "fires" overrides whether it shoots.
+// Once every wave is out and cleared, the boss flies in; "spread" is the angle in degrees
+// between the "shots" of each volley.
+const LEVEL_FILES = ['levels/level1.json', 'levels/level2.json', 'levels/level3.json'];
+const LEVEL_BANNER_TICKS = 150; // How long the level name shows when a level starts
+const LEVEL_CLEAR_TICKS = 180; // Pause between a boss going down and the next level
+const LOOP_SPEEDUP = 0.2; // Enemies get faster and bosses tougher by this much on each loop
+const BOMB_BOSS_DAMAGE = 5; // Bombs can't clear a boss, but they hurt
+const ENEMY_TYPES = {
+  ENEMY_JET: {
+    w: 35, h: 15, points: 50, health: 1, speed: 1, draw: drawEnemyJet,
+    hitboxes: createHitboxes([
+      [0, 0, 35, 15], // Body
+      [20.5, -5.5, 6, 4] // Tail fin
+    ])
+  },
+  MISSILE: {
+    w: 25, h: 8, points: 20, health: 1, speed: 1.2, draw: drawMissile, // Missiles are faster
+    hitboxes: createHitboxes([
+      [0, 0, 25, 8], // Body
+      [16, 0, 7, 4] // Nose cone; the flame trail doesn't count
+    ])
+  },
+  GUNSHIP: {
+    w: 45, h: 22, points: 120, health: 3, speed: 0.7, fires: true, fireInterval: 1.5, draw: drawGunship,
+    hitboxes: createHitboxes([
+      [0, 0, 45, 22], // Body
+      [-28.5, 0, 12, 4], // Gun barrel
+      [0, -13.5, 55, 3] // Rotor
+    ])
+  }
+};
+let levels = []; // Parsed level files, in the order of LEVEL_FILES
+let levelsLoaded = 0;
+let levelLoadError = '';
+let levelIndex = 0;
+let levelLoop = 0; // Times every level has been cleared this run
+let levelPhase = 'WAVES'; // WAVES, BOSS, CLEAR
+let levelStartTick = 0;
+let levelClearTick = 0;
+let nextWave = 0; // Index of the next wave to spawn in the current level
+let boss = null;
+let enemyBullets = [];
+
+// --- Collisions ---
+// Hitboxes are [dx, dy, w, h] rectangles around each entity's centre, traced from its
+// draw(); see collision.js. Enemy hitboxes live in ENEMY_TYPES.
+const PLAYER_HITBOXES = createHitboxes([
+  [0, 0, 40, 20], // Body, cockpit included
+  [-23, -7, 6, 6], // Tail fin
+  [-10 / 3, -12.5, 20, 5], // Upper wing
+  [-10 / 3, 12.5, 20, 5] // Lower wing
+]);
+const BOSS_HITBOXES = createHitboxes([
+  [0, 0, 140, 70], // Hull
+  [10, -42.5, 40, 15], // Bridge
+  [-80, -12, 20, 6], // Upper cannon
+  [-80, 12, 20, 6] // Lower cannon
+]);
+const BULLET_HITBOXES = createHitboxes([[0, 0, 8, 5]]);
+const ENEMY_BULLET_HITBOXES = createHitboxes([[0, 0, 6, 6]]); // A little smaller than drawn, in the player's favour
+const POWERUP_HITBOXES = createHitboxes([[0, 0, 22, 22]]);
+const GRID_CELL_SIZE = 64; // px; about the size of the bigger enemies
+const collisionGrid = createSpatialGrid(GRID_CELL_SIZE);
+const collisionCandidates = []; // Reused for every grid query
+let showHitboxes = false; // Toggled with H, to check hitboxes against the sprites
+
+// --- Input Recording and Replays ---
+// Each tick's input is a bit mask; a run is its seed, playfield size and the masks.
+const INPUT_UP = 1;
+const INPUT_DOWN = 2;
+const INPUT_FIRE = 4;
+const INPUT_BOMB = 8;
+const REPLAY_VERSION = 4; // Bump whenever the simulation changes, as older replays no longer match
+let recordedInputs = []; // Input mask per tick of the current run
+let runSeed = 0;
+let lastReplay = null; // Replay of the last run, or the one loaded from a file
+let replayInputs = []; // Decoded masks of the replay being watched
+let menuMessage = ''; // Shown on the START and GAME_OVER screens
+let replayFileInput; // Hidden file picker for loading replays
+
+// --- High Scores ---
+const HIGH_SCORE_STORAGE_KEY = 'harrierRunner.highScores';
+const HIGH_SCORE_COUNT = 10;
+const INITIALS_LENGTH = 3;
+const MENU_PAGE_MS = 6000; // The menus take turns showing their text and the high-score table
+let highScores = []; // Best first: { initials, score, date, time (s), kills, level }
+let kills = 0; // Enemies destroyed this run
+let initials = []; // Letters being entered for a new high score
+let initialsCursor = 0;
+let newHighScore = null; // The entry being named, then highlighted in the table
+let menuShownAt = 0; // millis() when the current menu screen came up
+let highScoreFileInput; // Hidden file picker for importing a table
+
+// --- Menu Buttons ---
+// Touch and mouse players get on-screen buttons for everything the menu keys do
+const MENU_TAP_DELAY_MS = 800; // Taps this soon after a screen comes up are ignored, so mashing FIRE as a run ends can't skip it
+const MENU_BUTTON_HEIGHT = 44;
+const MENU_BUTTON_GAP = 12;
+let shownState = null; // The gameState the screen last changed to
+let screenShownAt = 0; // millis() when it did
+
+// --- Controls Screen ---
+let controlsRow = 0; // Index into ACTIONS (input.js) of the selected row
+let awaitingBinding = false; // Waiting for the key to bind to the selected action
+let controlsMessage = '';
+let controlsReturnState = 'START'; // Screen to go back to
+
+// --- Seeded Random Helpers ---
+function seedRandom(seed) {
+  rngState = seed >>> 0;
+}
+
+// Mulberry32: small, fast and plenty random for a game; returns a float in [0, 1)
+function nextRandom() {
+  rngState = (rngState + 0x6D2B79F5) >>> 0;
+  let t = rngState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function randomBetween(min, max) {
+  return min + nextRandom() * (max - min);
+}
+
+function randomItem(items) {
+  return items[Math.floor(nextRandom() * items.length)];
+}
 
 // --- Player Object ---
 function createPlayer() {
   return {
     x: 100,
-    y: windowHeight / 2,
+    y: playfield.h / 2,
     w: 40, // Width
     h: 20, // Height
     speed: 5,
+    hitboxes: PLAYER_HITBOXES,
     draw: function() {
+      // Blink during the grace period after a hit
+      if (isInvulnerable() && floor(tick / 6) % 2 === 0) {
+        return;
+      }
+      if (isPowerUpActive('SHIELD')) {
+        noFill();
+        stroke(0, 200, 255, 180);
+        strokeWeight(3);
+        ellipse(this.x, this.y, this.w + 30, this.w + 30);
+        noStroke();
+      }
       fill(200, 200, 220); // Light grey for Harrier body
       noStroke();
       // Body
@@ -39,100 +235,289 @@ function createPlayer() {
        rect(this.x - this.w/3, this.y - this.h/2 - 5, this.w/2, 5);
        rect(this.x - this.w/3, this.y + this.h/2, this.w/2, 5);
     },
-    move: function() {
-      if ((keyIsDown(UP_ARROW) || keyIsDown(87)) && this.y > this.h / 2 + 10) { // W key
+    move: function(input) {
+      if ((input & INPUT_UP) && this.y > this.h / 2 + 10) {
         this.y -= this.speed;
       }
-      if ((keyIsDown(DOWN_ARROW) || keyIsDown(83)) && this.y < windowHeight - this.h / 2 - 10) { // S key
+      if ((input & INPUT_DOWN) && this.y < playfield.h - this.h / 2 - 10) {
         this.y += this.speed;
       }
     },
     shoot: function() {
-        // Check fire rate limit
-        if (frameCount - lastShotFrame < fireRate) {
+        // Check fire rate limit (halved while rapid fire is active)
+        const rate = isPowerUpActive('RAPID') ? fireRate / 2 : fireRate;
+        if (tick - lastShotTick < rate) {
             return;
         }
-        lastShotFrame = frameCount;
-
-        bullets.push({
-            x: this.x + this.w / 2,
-            y: this.y,
-            size: 8,
-            speed: 10,
-            draw: function() {
-                fill(255, 100, 0); // Orange bullet
-                noStroke();
-                ellipse(this.x, this.y, this.size, this.size / 1.5);
-            },
-            update: function() {
-                this.x += this.speed;
-            }
-        });
+        lastShotTick = tick;
+        playShot();
+
+        bullets.push(createBullet(this.x + this.w / 2, this.y, 0));
+        if (isPowerUpActive('SPREAD')) {
+            bullets.push(createBullet(this.x + this.w / 2, this.y, -2));
+            bullets.push(createBullet(this.x + this.w / 2, this.y, 2));
+        }
     }
   };
 }
 
+// --- Bullet Object ---
+const bulletPool = createPool(() => ({
+    x: 0,
+    y: 0,
+    vy: 0, // Vertical drift, used by the spread shot
+    size: 8,
+    speed: 10,
+    hitboxes: BULLET_HITBOXES,
+    gridStamp: 0,
+    draw: function() {
+        fill(255, 100, 0); // Orange bullet
+        noStroke();
+        ellipse(this.x, this.y, this.size, this.size / 1.5);
+    },
+    update: function() {
+        this.x += this.speed;
+        this.y += this.vy;
+    }
+}));
+
+function createBullet(x, y, vy) {
+    const bullet = bulletPool.acquire();
+    bullet.x = x;
+    bullet.y = y;
+    bullet.vy = vy;
+    return bullet;
+}
+
+// --- Power-up Pickup Object ---
+const powerUpPool = createPool(() => ({
+    x: 0,
+    y: 0,
+    size: 22,
+    type: '',
+    hitboxes: POWERUP_HITBOXES,
+    gridStamp: 0,
+    draw: function() {
+        const info = POWERUPS[this.type];
+        fill(info.color[0], info.color[1], info.color[2]);
+        noStroke();
+        rect(this.x - this.size / 2, this.y - this.size / 2, this.size, this.size, 4);
+        fill(0);
+        textSize(12);
+        text(info.label, this.x, this.y + 1);
+    },
+    update: function() {
+        this.x -= scrollSpeed * 0.7; // Drifts a little slower than the scenery
+    }
+}));
+
+function createPowerUp(x, y) {
+    const powerUp = powerUpPool.acquire();
+    powerUp.x = x;
+    powerUp.y = y;
+    powerUp.type = randomItem(Object.keys(POWERUPS));
+    return powerUp;
+}
+
 // --- Obstacle Object ---
-function createObstacle() {
-    const type = random(['ENEMY_JET', 'MISSILE']);
-    const obsY = random(50, windowHeight - 50);
-    const obsSpeed = scrollSpeed * random(0.8, 1.5); // Vary speeds a bit
-
-    if (type === 'ENEMY_JET') {
-        return {
-            x: windowWidth + 50,
-            y: obsY,
-            w: 35,
-            h: 15,
-            speed: obsSpeed,
-            type: type,
-            points: 50, // Score for destroying
-            draw: function() {
-                fill(180, 0, 0); // Red enemy
-                noStroke();
-                 // Body
-                rect(this.x - this.w / 2, this.y - this.h / 2, this.w, this.h);
-                // Tail fin (opposite direction)
-                triangle(
-                    this.x + this.w / 2, this.y - this.h / 2,
-                    this.x + this.w / 2, this.y,
-                    this.x + this.w / 2 + 10, this.y - this.h / 2
-                );
-            },
-            update: function() {
-                this.x -= this.speed;
+const obstaclePool = createPool(() => ({
+    x: 0,
+    y: 0,
+    baseY: 0, // Centre line for the sine movement
+    w: 0,
+    h: 0,
+    speed: 0,
+    type: '',
+    points: 0, // Score for destroying
+    health: 0,
+    alive: false, // Cleared when destroyed; collision checks skip it until it's removed
+    hitboxes: null,
+    gridStamp: 0,
+    hitFlashUntil: 0,
+    movement: 'straight',
+    amplitude: 0,
+    period: 0,
+    age: 0, // Ticks since spawning
+    vy: 0,
+    diving: false,
+    fireInterval: 0,
+    nextShotTick: 0,
+    draw: null, // From ENEMY_TYPES
+    update: function() {
+        moveEnemy(this);
+    }
+}));
+
+function createObstacle(type, x, y, wave) {
+    const stats = ENEMY_TYPES[type];
+    const fires = wave.fires !== undefined ? wave.fires : !!stats.fires;
+    const obstacle = obstaclePool.acquire();
+    obstacle.x = x;
+    obstacle.y = y;
+    obstacle.baseY = y;
+    obstacle.w = stats.w;
+    obstacle.h = stats.h;
+    obstacle.speed = scrollSpeed * stats.speed * (wave.speed || 1) * loopFactor();
+    obstacle.type = type;
+    obstacle.points = stats.points;
+    obstacle.health = stats.health;
+    obstacle.alive = true;
+    obstacle.hitboxes = stats.hitboxes;
+    obstacle.hitFlashUntil = 0;
+    obstacle.movement = wave.movement || 'straight';
+    obstacle.amplitude = wave.amplitude !== undefined ? wave.amplitude : 60;
+    obstacle.period = secondsToTicks(wave.period || 2);
+    obstacle.age = 0;
+    obstacle.vy = 0;
+    obstacle.diving = false;
+    obstacle.fireInterval = fires ? secondsToTicks(wave.fireInterval || stats.fireInterval || 2) : 0;
+    obstacle.nextShotTick = 0;
+    obstacle.draw = stats.draw;
+    if (obstacle.fireInterval > 0) {
+        // Stagger the first shots so a formation doesn't fire as one
+        obstacle.nextShotTick = tick + floor(randomBetween(0.5, 1.5) * obstacle.fireInterval);
+    }
+    return obstacle;
+}
+
+// Obstacle draw functions, called as methods of the obstacle
+function drawEnemyJet() {
+    fill(180, 0, 0); // Red enemy
+    noStroke();
+     // Body
+    rect(this.x - this.w / 2, this.y - this.h / 2, this.w, this.h);
+    // Tail fin (opposite direction)
+    triangle(
+        this.x + this.w / 2, this.y - this.h / 2,
+        this.x + this.w / 2, this.y,
+        this.x + this.w / 2 + 10, this.y - this.h / 2
+    );
+}
+
+function drawMissile() {
+    fill(50, 50, 50); // Dark grey missile
+    noStroke();
+    // Body
+    rect(this.x - this.w / 2, this.y - this.h / 2, this.w, this.h);
+    // Nose cone
+    fill(255, 0, 0); // Red tip
+     triangle(
+        this.x + this.w / 2, this.y - this.h / 2,
+        this.x + this.w / 2, this.y + this.h / 2,
+        this.x + this.w / 2 + 10, this.y
+    );
+    // Tiny flame trail
+    fill(255, 165, 0); // Orange
+    ellipse(this.x - this.w / 2 - 5, this.y, 8, 6);
+}
+
+function drawGunship() {
+    // Flash white when hit
+    if (tick < this.hitFlashUntil) {
+        fill(255);
+    } else {
+        fill(40, 110, 40); // Dark green gunship
+    }
+    noStroke();
+    // Body
+    rect(this.x - this.w / 2, this.y - this.h / 2, this.w, this.h, 4);
+    // Gun barrel
+    fill(30, 30, 30);
+    rect(this.x - this.w / 2 - 12, this.y - 2, 12, 4);
+    // Rotor
+    fill(150);
+    rect(this.x - this.w / 2 - 5, this.y - this.h / 2 - 4, this.w + 10, 3);
+}
+
+// --- Boss Object ---
+function createBoss(def) {
+    const health = round(def.health * loopFactor());
+    return {
+        x: playfield.w + 100,
+        y: playfield.h / 2,
+        baseY: playfield.h / 2,
+        w: 140,
+        h: 70,
+        isBoss: true,
+        alive: true,
+        hitboxes: BOSS_HITBOXES,
+        gridStamp: 0,
+        name: def.name,
+        health: health,
+        maxHealth: health,
+        points: def.points,
+        hitFlashUntil: 0,
+        fireInterval: secondsToTicks(def.fireInterval || 1.5),
+        nextShotTick: 0,
+        shots: def.shots || 3,
+        spread: radians(def.spread || 15),
+        amplitude: min(def.amplitude || 120, playfield.h / 2 - 60),
+        period: secondsToTicks(def.period || 4),
+        age: 0,
+        draw: function() {
+            // Flash white when hit
+            if (tick < this.hitFlashUntil) {
+                fill(255);
+            } else {
+                fill(90, 90, 110); // Gunmetal hull
             }
-        };
-    } else { // MISSILE type
-         return {
-            x: windowWidth + 30,
-            y: obsY,
-            w: 25,
-            h: 8,
-            speed: obsSpeed * 1.2, // Missiles are faster
-            type: type,
-            points: 20, // Score for destroying
-            draw: function() {
-                fill(50, 50, 50); // Dark grey missile
-                noStroke();
-                // Body
-                rect(this.x - this.w / 2, this.y - this.h / 2, this.w, this.h);
-                // Nose cone
-                fill(255, 0, 0); // Red tip
-                 triangle(
-                    this.x + this.w / 2, this.y - this.h / 2,
-                    this.x + this.w / 2, this.y + this.h / 2,
-                    this.x + this.w / 2 + 10, this.y
-                );
-                // Tiny flame trail
-                fill(255, 165, 0); // Orange
-                ellipse(this.x - this.w / 2 - 5, this.y, 8, 6);
-            },
-            update: function() {
-                this.x -= this.speed;
+            noStroke();
+            // Hull
+            rect(this.x - this.w / 2, this.y - this.h / 2, this.w, this.h, 8);
+            // Bridge
+            fill(180, 0, 0);
+            rect(this.x - 10, this.y - this.h / 2 - 15, 40, 15);
+            // Cannons
+            fill(30, 30, 30);
+            rect(this.x - this.w / 2 - 20, this.y - 15, 20, 6);
+            rect(this.x - this.w / 2 - 20, this.y + 9, 20, 6);
+        },
+        update: function() {
+            // Fly in, then weave up and down firing volleys at the player
+            if (this.x > playfield.w - 160) {
+                this.x -= 2;
+                this.nextShotTick = tick + this.fireInterval;
+                return;
             }
-        };
+            this.age++;
+            this.y = this.baseY + this.amplitude * sin(TWO_PI * this.age / this.period);
+            if (tick >= this.nextShotTick) {
+                for (let i = 0; i < this.shots; i++) {
+                    fireAtPlayer(this.x - this.w / 2 - 20, this.y, (i - (this.shots - 1) / 2) * this.spread);
+                }
+                this.nextShotTick = tick + this.fireInterval;
+            }
+        }
+    };
+}
+
+// --- Enemy Bullet Object ---
+const enemyBulletPool = createPool(() => ({
+    x: 0,
+    y: 0,
+    vx: 0,
+    vy: 0,
+    size: 8,
+    hitboxes: ENEMY_BULLET_HITBOXES,
+    gridStamp: 0,
+    draw: function() {
+        fill(255, 60, 200); // Magenta, easy to tell from the player's shots
+        noStroke();
+        ellipse(this.x, this.y, this.size, this.size);
+    },
+    update: function() {
+        this.x += this.vx;
+        this.y += this.vy;
     }
+}));
+
+function createEnemyBullet(x, y, angle) {
+    const bullet = enemyBulletPool.acquire();
+    bullet.x = x;
+    bullet.y = y;
+    bullet.vx = cos(angle) * 5;
+    bullet.vy = sin(angle) * 5;
+    return bullet;
 }
 
 // --- Star Object for Background ---
@@ -149,6 +534,7 @@ function createStar() {
 // --- p5.js Setup Function ---
 function setup() {
   createCanvas(windowWidth, windowHeight);
+  playfield = { w: windowWidth, h: windowHeight };
   player = createPlayer();
   textAlign(CENTER, CENTER);
   textSize(20);
@@ -159,10 +545,53 @@ function setup() {
     stars.push(createStar());
   }
   noStroke(); // Default no outlines
+
+  // Replays are loaded through a hidden file picker, opened with the L key
+  replayFileInput = createFileInput(handleReplayFile);
+  replayFileInput.attribute('accept', '.json,application/json');
+  replayFileInput.hide();
+  highScoreFileInput = createFileInput(handleHighScoreFile);
+  highScoreFileInput.attribute('accept', '.json,application/json');
+  highScoreFileInput.hide();
+
+  highScores = loadHighScores();
+  loadLevels();
 }
 
 // --- p5.js Draw Function (Game Loop) ---
 function draw() {
+  // Gamepad and touch are polled once a frame; keys arrive through keyPressed(),
+  // and taps and clicks on the menus through touchEnded() and mouseReleased()
+  pollGamepad();
+  if (gameState === 'PLAYING') {
+    updateTouchControls();
+    if (takeActionPress('mute')) {
+      toggleMute();
+    }
+  } else {
+    handleMenuPresses();
+  }
+
+  // Simulate the ticks that real time has caught up with
+  tickAccumulator += min(deltaTime, MAX_TICKS_PER_FRAME * TICK_MS);
+  while (tickAccumulator >= TICK_MS) {
+    tickAccumulator -= TICK_MS;
+    updateStars();
+    if (gameState === 'PLAYING') {
+      const input = readInput();
+      recordedInputs.push(input);
+      updateGame(input);
+    } else if (gameState === 'REPLAY') {
+      if (tick >= replayInputs.length) {
+        finishReplay();
+      } else {
+        updateGame(replayInputs[tick]);
+      }
+    }
+  }
+  // The soundtrack speeds up with the scrolling
+  updateMusic(gameState === 'PLAYING' || gameState === 'REPLAY', scrollSpeed / baseScrollSpeed);
+
   // Background color (dark blue night sky)
   background(0, 0, 30);
 
@@ -171,52 +600,122 @@ function draw() {
 
   if (gameState === 'START') {
     displayStartScreen();
-  } else if (gameState === 'PLAYING') {
-    runGame();
+  } else if (gameState === 'CONTROLS') {
+    displayControlsScreen();
+  } else if (gameState === 'PLAYING' || gameState === 'REPLAY') {
+    drawGame();
+  } else if (gameState === 'ENTER_INITIALS') {
+    drawPlayfield();
+    displayInitialsEntry();
   } else if (gameState === 'GAME_OVER') {
     displayGameOverScreen();
   }
+  drawMenuButtons();
+  noteScreenChange();
 }
 
 // --- Game State Functions ---
 
-function runGame() {
-  // --- Update ---
-  player.move();
+// Advances the run by one tick
+function updateGame(input) {
+  player.move(input);
+  if (input & INPUT_FIRE) {
+    player.shoot();
+  }
+  if (input & INPUT_BOMB) {
+    detonateBomb();
+  }
   updateObstacles();
+  if (boss) {
+    boss.update();
+  }
   updateBullets();
-  spawnObstacles();
+  updateEnemyBullets();
+  updatePowerUps();
+  updateLevel();
   checkCollisions();
 
   // Increase difficulty over time
   scrollSpeed = baseScrollSpeed + score / 2000; // Gradually increase speed
-  obstacleSpawnInterval = max(30, 90 - score / 500); // Spawn faster over time
+  tick++;
+}
 
+function drawGame() {
+  drawPlayfield();
+  displayScore();
+  displayLevelInfo();
+  if (gameState === 'REPLAY') {
+    displayReplayHUD();
+  } else {
+    displayHUDInstructions(); // Show controls during gameplay
+    drawTouchControls(audioSettings.muted);
+  }
+}
 
-  // --- Draw ---
+// Draws the run scaled to fit the window, so replays recorded at another size still fit
+function drawPlayfield() {
+  const s = min(windowWidth / playfield.w, windowHeight / playfield.h);
+  push();
+  translate((windowWidth - playfield.w * s) / 2, (windowHeight - playfield.h * s) / 2);
+  scale(s);
+  drawPowerUps();
   player.draw();
   drawObstacles();
+  if (boss) {
+    boss.draw();
+  }
   drawBullets();
-  displayScore();
-  displayHUDInstructions(); // Show controls during gameplay
+  drawEnemyBullets();
+  if (showHitboxes) {
+    drawHitboxes();
+  }
+  pop();
+
+  // White flash that fades out after a bomb
+  if (tick < bombFlashUntil) {
+    fill(255, 255, 255, map(bombFlashUntil - tick, 0, 20, 0, 200));
+    rect(0, 0, windowWidth, windowHeight);
+  }
 }
 
 function displayStartScreen() {
+  if (isHighScorePage()) {
+    displayHighScores();
+    return;
+  }
   fill(255);
   textSize(48);
   text("8-Bit Harrier Runner", windowWidth / 2, windowHeight / 2 - 100);
 
   textSize(24);
   text("Instructions:", windowWidth / 2, windowHeight / 2);
-  text("UP/DOWN Arrows or W/S: Move Jet", windowWidth / 2, windowHeight / 2 + 40);
-  text("SPACEBAR: Shoot", windowWidth / 2, windowHeight / 2 + 70);
-  text("Avoid or shoot enemies!", windowWidth / 2, windowHeight / 2 + 100);
+  text(`${bindingLabel('up')} / ${bindingLabel('down')}: Move Jet`, windowWidth / 2, windowHeight / 2 + 40);
+  text(`${bindingLabel('fire')}: Shoot (hold to keep firing)   ${bindingLabel('bomb')}: Bomb`, windowWidth / 2, windowHeight / 2 + 70);
+  text("Avoid or shoot enemies, grab what they drop!", windowWidth / 2, windowHeight / 2 + 100);
 
   textSize(28);
-  text("Press SPACEBAR to Start", windowWidth / 2, windowHeight / 2 + 160);
+  if (levelLoadError) {
+    fill(255, 0, 0);
+    textSize(18);
+    text(levelLoadError, windowWidth / 2, windowHeight / 2 + 160);
+    fill(255);
+  } else if (!levelsReady()) {
+    text("Loading levels...", windowWidth / 2, windowHeight / 2 + 160);
+  } else {
+    text(`Press ${startPrompt()} to Start`, windowWidth / 2, windowHeight / 2 + 160);
+  }
+
+  textSize(18);
+  text("L: Load a replay   C: Controls", windowWidth / 2, windowHeight / 2 + 200);
+  text(`M: Sound ${soundLabel()}   [ ]: Volume`, windowWidth / 2, windowHeight / 2 + 225);
+  displayMenuMessage(windowHeight / 2 + 255);
 }
 
 function displayGameOverScreen() {
+  if (isHighScorePage()) {
+    displayHighScores();
+    return;
+  }
   fill(255, 0, 0); // Red text
   textSize(60);
   text("GAME OVER", windowWidth / 2, windowHeight / 2 - 50);
@@ -225,14 +724,218 @@ function displayGameOverScreen() {
   textSize(32);
   text(`Final Score: ${score}`, windowWidth / 2, windowHeight / 2 + 20);
 
+  textSize(18);
+  text(`Reached level ${levelIndex + 1}: ${levels[levelIndex].name}`, windowWidth / 2, windowHeight / 2 + 50);
+
   textSize(24);
-  text("Press SPACEBAR to Restart", windowWidth / 2, windowHeight / 2 + 80);
+  text(`Press ${startPrompt()} to Restart`, windowWidth / 2, windowHeight / 2 + 80);
+
+  textSize(18);
+  if (lastReplay) {
+    text("R: Watch replay   D: Download replay   L: Load a replay   C: Controls", windowWidth / 2, windowHeight / 2 + 120);
+  } else {
+    text("L: Load a replay   C: Controls", windowWidth / 2, windowHeight / 2 + 120);
+  }
+  displayMenuMessage(windowHeight / 2 + 150);
 
   // Draw obstacles and player one last time (frozen)
-  player.draw();
-  drawObstacles();
-  drawBullets();
-  drawStars(false); // Draw stars without updating
+  drawPlayfield();
+}
+
+// The START and GAME_OVER screens alternate with the high-score table, arcade style
+function isHighScorePage() {
+  return floor((millis() - menuShownAt) / MENU_PAGE_MS) % 2 === 1;
+}
+
+function displayHighScores() {
+  fill(255, 220, 0); // Yellow title
+  textSize(40);
+  const top = windowHeight / 2 - 190;
+  text("HIGH SCORES", windowWidth / 2, top);
+
+  textSize(18);
+  fill(200);
+  const header = ['RANK', 'NAME'.padEnd(4), 'SCORE'.padStart(7), 'LEVEL', ' TIME', 'KILLS', 'DATE'.padEnd(10)].join(' ');
+  text(header, windowWidth / 2, top + 50);
+  if (highScores.length === 0) {
+    fill(255);
+    text("No scores yet. Be the first!", windowWidth / 2, top + 90);
+  }
+  highScores.forEach((entry, i) => {
+    const time = `${floor(entry.time / 60)}:${String(entry.time % 60).padStart(2, '0')}`;
+    const row = [
+      `${i + 1}.`.padStart(4),
+      entry.initials.padEnd(4),
+      String(entry.score).padStart(7),
+      String(entry.level).padStart(5),
+      time.padStart(5),
+      String(entry.kills).padStart(5),
+      new Date(entry.date).toLocaleDateString().padEnd(10)
+    ].join(' ');
+    // Highlight the score just entered
+    if (entry === newHighScore) {
+      fill(255, 220, 0);
+    } else {
+      fill(255);
+    }
+    text(row, windowWidth / 2, top + 80 + i * 26);
+  });
+
+  fill(200);
+  textSize(16);
+  text("E: Export scores   I: Import scores", windowWidth / 2, top + 80 + HIGH_SCORE_COUNT * 26 + 20);
+  displayMenuMessage(top + 80 + HIGH_SCORE_COUNT * 26 + 50);
+}
+
+function displayInitialsEntry() {
+  fill(255, 220, 0); // Yellow text
+  textSize(48);
+  text("NEW HIGH SCORE!", windowWidth / 2, windowHeight / 2 - 100);
+
+  fill(255);
+  textSize(28);
+  text(`${newHighScore.score} points`, windowWidth / 2, windowHeight / 2 - 40);
+
+  // The three letters, the one being edited underlined
+  textSize(56);
+  for (let i = 0; i < INITIALS_LENGTH; i++) {
+    const x = windowWidth / 2 + (i - 1) * 60;
+    fill(i === initialsCursor ? color(255, 220, 0) : 255);
+    text(initials[i], x, windowHeight / 2 + 40);
+    if (i === initialsCursor) {
+      rect(x - 20, windowHeight / 2 + 75, 40, 4);
+    }
+  }
+
+  fill(200);
+  textSize(18);
+  text("Type your initials or use the arrows, ENTER to save, ESC to skip", windowWidth / 2, windowHeight / 2 + 130);
+}
+
+// What to press to start a run, as shown on the menus
+function startPrompt() {
+  if (touchControlsVisible) {
+    return "PLAY";
+  }
+  return isGamepadConnected() ? `${bindingLabel('fire')} or START` : bindingLabel('fire');
+}
+
+function displayControlsScreen() {
+  fill(255);
+  textSize(40);
+  const top = windowHeight / 2 - 170;
+  text("CONTROLS", windowWidth / 2, top);
+
+  textSize(22);
+  ACTIONS.forEach((action, i) => {
+    const selected = i === controlsRow;
+    let keys = bindingLabel(action);
+    if (selected && awaitingBinding) {
+      keys = 'press a key...';
+    }
+    fill(selected ? color(255, 220, 0) : 255);
+    text(`${selected ? '>' : ' '} ${ACTION_NAMES[action].padEnd(10)} ${keys.padEnd(16)}`, windowWidth / 2, top + 70 + i * 34);
+  });
+
+  fill(200);
+  textSize(16);
+  const hints = awaitingBinding ? "ESC: cancel" : "↑/↓: choose   ENTER: change key   BACKSPACE: restore defaults   ESC: back";
+  text(hints, windowWidth / 2, top + 70 + ACTIONS.length * 34 + 20);
+  text("Gamepad: stick or d-pad to move, A/RB/RT to shoot, B/Y to bomb, START to play", windowWidth / 2, top + 70 + ACTIONS.length * 34 + 60);
+  text("Touch: drag on the left to move, FIRE and BOMB buttons on the right, MUTE top right", windowWidth / 2, top + 70 + ACTIONS.length * 34 + 85);
+  text(`Sound: ${soundLabel()}   M: mute   [ ]: volume`, windowWidth / 2, top + 70 + ACTIONS.length * 34 + 110);
+  text("Browsers only start sound after a key press, click or tap: with just a gamepad, tap or press a key once", windowWidth / 2, top + 70 + ACTIONS.length * 34 + 135);
+  if (controlsMessage) {
+    fill(255, 220, 0);
+    text(controlsMessage, windowWidth / 2, top + 70 + ACTIONS.length * 34 + 170);
+  }
+}
+
+// The buttons of the current screen; each `press` does what the matching key does
+function menuButtons() {
+  if ((gameState === 'START' || gameState === 'GAME_OVER') && levelsReady()) {
+    const buttons = [{ label: 'PLAY', press: resetGame }];
+    if (lastReplay) {
+      buttons.push({ label: 'WATCH REPLAY', press: () => startReplay(lastReplay) });
+      buttons.push({ label: 'SAVE REPLAY', press: downloadReplay });
+    }
+    buttons.push(
+      { label: 'LOAD REPLAY', press: () => replayFileInput.elt.click() },
+      { label: 'CONTROLS', press: openControls },
+      { label: `SOUND: ${soundLabel().toUpperCase()}`, press: toggleMute },
+      { label: 'EXPORT SCORES', press: exportHighScores },
+      { label: 'IMPORT SCORES', press: () => highScoreFileInput.elt.click() }
+    );
+    return buttons;
+  } else if (gameState === 'ENTER_INITIALS') {
+    return [{ label: 'SAVE', press: submitInitials }, { label: 'SKIP', press: skipInitials }];
+  } else if (gameState === 'CONTROLS' && !awaitingBinding) {
+    return [
+      { label: 'VOLUME -', press: () => changeVolume(-VOLUME_STEP) },
+      { label: 'VOLUME +', press: () => changeVolume(VOLUME_STEP) },
+      { label: 'RESTORE DEFAULTS', press: restoreDefaultKeys },
+      { label: 'BACK', press: closeControls }
+    ];
+  }
+  return [];
+}
+
+// Places the buttons in centred rows along the bottom of the window
+function layoutMenuButtons(buttons) {
+  textSize(18);
+  const rows = [[]];
+  let rowWidth = 0;
+  for (let button of buttons) {
+    button.w = textWidth(button.label) + 32;
+    button.h = MENU_BUTTON_HEIGHT;
+    let row = rows[rows.length - 1];
+    if (row.length > 0 && rowWidth + MENU_BUTTON_GAP + button.w > windowWidth - 40) {
+      row = [];
+      rows.push(row);
+      rowWidth = 0;
+    }
+    rowWidth += (row.length > 0 ? MENU_BUTTON_GAP : 0) + button.w;
+    row.push(button);
+  }
+  rows.forEach((row, i) => {
+    const width = row.reduce((sum, button) => sum + button.w, 0) + MENU_BUTTON_GAP * (row.length - 1);
+    let x = (windowWidth - width) / 2;
+    const y = windowHeight - 20 - (rows.length - i) * (MENU_BUTTON_HEIGHT + MENU_BUTTON_GAP) + MENU_BUTTON_GAP;
+    for (let button of row) {
+      button.x = x;
+      button.y = y;
+      x += button.w + MENU_BUTTON_GAP;
+    }
+  });
+  return buttons;
+}
+
+function drawMenuButtons() {
+  const buttons = layoutMenuButtons(menuButtons());
+  noStroke();
+  textSize(18);
+  for (let button of buttons) {
+    fill(255, 255, 255, 40);
+    rect(button.x, button.y, button.w, button.h, 8);
+    fill(255);
+    text(button.label, button.x + button.w / 2, button.y + button.h / 2);
+  }
+}
+
+// Restarts the tap delay whenever the screen changes
+function noteScreenChange() {
+  if (gameState !== shownState) {
+    shownState = gameState;
+    screenShownAt = millis();
+  }
+}
+
+function displayMenuMessage(y) {
+  if (menuMessage) {
+    fill(255, 220, 0); // Yellow text
+    textSize(18);
+    text(menuMessage, windowWidth / 2, y);
+  }
 }
 
 function displayScore() {
@@ -241,47 +944,144 @@ function displayScore() {
   textAlign(LEFT, TOP);
   text(`Score: ${score}`, 20, 20);
   textAlign(CENTER, CENTER); // Reset alignment
+  displayStatus();
+}
+
+// Lives, bombs and active power-ups, next to the score
+function displayStatus() {
+  textAlign(LEFT, TOP);
+  textSize(18);
+  fill(255);
+  text(`Lives: ${lives}   Bombs: ${bombs}`, 20, 50);
+
+  // One row per running power-up, with a bar showing the time left
+  let y = 78;
+  for (let type of Object.keys(activePowerUps)) {
+    const info = POWERUPS[type];
+    const left = activePowerUps[type] - tick;
+    fill(info.color[0], info.color[1], info.color[2]);
+    textSize(14);
+    text(`${info.name} ${ceil(left / TICKS_PER_SECOND)}s`, 20, y);
+    rect(130, y + 4, 80 * left / info.duration, 8);
+    y += 22;
+  }
+  textAlign(CENTER, CENTER); // Reset alignment
+}
+
+// Level name at the top, the boss's health bar under it, and the banners between levels
+function displayLevelInfo() {
+  const level = levels[levelIndex];
+  fill(255);
+  textSize(16);
+  textAlign(CENTER, TOP);
+  text(`Level ${levelIndex + 1}: ${level.name}${levelLoop > 0 ? ` (loop ${levelLoop + 1})` : ''}`, windowWidth / 2, 20);
+
+  if (boss) {
+    const barWidth = min(400, windowWidth - 40);
+    text(boss.name, windowWidth / 2, 45);
+    fill(80, 0, 0);
+    rect(windowWidth / 2 - barWidth / 2, 68, barWidth, 10);
+    fill(255, 40, 40);
+    rect(windowWidth / 2 - barWidth / 2, 68, barWidth * boss.health / boss.maxHealth, 10);
+  }
+  textAlign(CENTER, CENTER); // Reset alignment
+
+  if (levelPhase === 'CLEAR') {
+    fill(255, 220, 0);
+    textSize(48);
+    text("LEVEL CLEAR", windowWidth / 2, windowHeight / 2 - 20);
+    textSize(24);
+    text(`Bonus +${level.clearBonus || 0}`, windowWidth / 2, windowHeight / 2 + 30);
+  } else if (tick - levelStartTick < LEVEL_BANNER_TICKS) {
+    fill(255);
+    textSize(48);
+    text(`LEVEL ${levelIndex + 1}`, windowWidth / 2, windowHeight / 2 - 20);
+    textSize(24);
+    text(level.name, windowWidth / 2, windowHeight / 2 + 30);
+  }
 }
 
 function displayHUDInstructions() {
     fill(200, 200, 200, 150); // Semi-transparent white
     textSize(16);
     textAlign(RIGHT, TOP);
-    text("Move: W/S or ↑/↓", windowWidth - 20, 20);
-    text("Shoot: SPACE", windowWidth - 20, 45);
+    text(`Move: ${bindingLabel('up')} / ${bindingLabel('down')}`, windowWidth - 20, 20);
+    text(`Shoot: ${bindingLabel('fire')}`, windowWidth - 20, 45);
+    text(`Bomb: ${bindingLabel('bomb')}`, windowWidth - 20, 70);
+    text(`Sound: ${soundLabel()} (M mute, [ ] volume)`, windowWidth - 20, 95);
+    textAlign(CENTER, CENTER); // Reset alignment
+}
+
+function displayReplayHUD() {
+    fill(255, 220, 0, 200); // Semi-transparent yellow
+    textSize(16);
+    textAlign(RIGHT, TOP);
+    text(`REPLAY ${floor(tick / TICKS_PER_SECOND)}s / ${floor(replayInputs.length / TICKS_PER_SECOND)}s`, windowWidth - 20, 20);
+    text(`Stop: ${bindingLabel('fire')} or ESC`, windowWidth - 20, 45);
     textAlign(CENTER, CENTER); // Reset alignment
 }
 
 // --- Update and Draw Helpers ---
 
-function drawStars(update = true) {
+function updateStars() {
+  for (let star of stars) {
+    star.x -= star.speed;
+    if (star.x < -star.size) {
+        // Reset star position when it goes off-screen
+        star.x = windowWidth + star.size;
+        star.y = random(windowHeight);
+    }
+  }
+}
+
+function drawStars() {
   fill(255); // White stars
-  for (let i = stars.length - 1; i >= 0; i--) {
-    let star = stars[i];
+  for (let star of stars) {
     ellipse(star.x, star.y, star.size, star.size);
-    if (update) {
-        star.x -= star.speed;
-        if (star.x < -star.size) {
-            // Reset star position when it goes off-screen
-            star.x = windowWidth + star.size;
-            star.y = random(windowHeight);
-        }
-    }
   }
 }
 
 
 function updateObstacles() {
   for (let i = obstacles.length - 1; i >= 0; i--) {
-    obstacles[i].update();
+    let obs = obstacles[i];
+    obs.update();
+    // Enemies that fire back shoot while on screen and ahead of the player
+    if (obs.fireInterval > 0 && tick >= obs.nextShotTick && obs.x < playfield.w && obs.x > player.x) {
+      fireAtPlayer(obs.x - obs.w / 2, obs.y, 0);
+      obs.nextShotTick = tick + obs.fireInterval;
+    }
     // Remove obstacles that go off-screen left
-    if (obstacles[i].x < -obstacles[i].w) {
-      obstacles.splice(i, 1);
+    if (obs.x < -obs.w) {
+      releaseAt(obstacles, i, obstaclePool);
       // Small score bonus for surviving past an obstacle
-      if (gameState === 'PLAYING') {
-          score += 5;
-      }
+      addScore(5);
+    } else if (obs.y < -50 || obs.y > playfield.h + 50) {
+      releaseAt(obstacles, i, obstaclePool); // Dived or homed off the top or bottom
+    }
+  }
+}
+
+// Moves an enemy along its wave's movement pattern
+function moveEnemy(obs) {
+  obs.age++;
+  obs.x -= obs.speed;
+  if (obs.movement === 'sine') {
+    obs.y = obs.baseY + obs.amplitude * sin(TWO_PI * obs.age / obs.period);
+  } else if (obs.movement === 'dive') {
+    // Fly in level, then swoop at where the player was when the dive started
+    if (!obs.diving && obs.x < playfield.w * 0.65) {
+      obs.diving = true;
+      obs.vy = player.y > obs.y ? 4 : -4;
+    }
+    if (obs.diving) {
+      obs.y += obs.vy;
+      obs.x -= obs.speed * 0.5; // Speeds up in the dive
     }
+  } else if (obs.movement === 'homing') {
+    // Steer after the player, with a limited turn rate so it can be dodged
+    obs.vy = constrain(obs.vy + (player.y > obs.y ? 0.15 : -0.15), -3, 3);
+    obs.y += obs.vy;
   }
 }
 
@@ -295,8 +1095,8 @@ function updateBullets() {
   for (let i = bullets.length - 1; i >= 0; i--) {
     bullets[i].update();
     // Remove bullets that go off-screen right
-    if (bullets[i].x > windowWidth + bullets[i].size) {
-      bullets.splice(i, 1);
+    if (bullets[i].x > playfield.w + bullets[i].size) {
+      releaseAt(bullets, i, bulletPool);
     }
   }
 }
@@ -307,76 +1107,810 @@ function drawBullets() {
   }
 }
 
-function spawnObstacles() {
-  // Check if enough time has passed since the last spawn attempt
-  if (frameCount - lastObstacleFrame > obstacleSpawnInterval) {
-    // Add a random chance to spawn, not guaranteed every interval
-    if (random(1) < 0.6) { // 60% chance to spawn an obstacle
-       obstacles.push(createObstacle());
+function fireAtPlayer(x, y, angleOffset) {
+  const angle = atan2(player.y - y, player.x - x) + angleOffset;
+  enemyBullets.push(createEnemyBullet(x, y, angle));
+}
+
+function updateEnemyBullets() {
+  for (let i = enemyBullets.length - 1; i >= 0; i--) {
+    let bullet = enemyBullets[i];
+    bullet.update();
+    // Remove bullets that leave the playfield
+    if (bullet.x < -bullet.size || bullet.x > playfield.w + bullet.size ||
+        bullet.y < -bullet.size || bullet.y > playfield.h + bullet.size) {
+      releaseAt(enemyBullets, i, enemyBulletPool);
     }
-    lastObstacleFrame = frameCount; // Reset the timer regardless of spawn success
+  }
+}
+
+function drawEnemyBullets() {
+  for (let bullet of enemyBullets) {
+    bullet.draw();
+  }
+}
+
+function updatePowerUps() {
+  // Expire timed power-ups
+  for (let type of Object.keys(activePowerUps)) {
+    if (tick >= activePowerUps[type]) {
+      delete activePowerUps[type];
+    }
+  }
+
+  for (let i = powerUps.length - 1; i >= 0; i--) {
+    powerUps[i].update();
+    if (powerUps[i].x < -powerUps[i].size) {
+      releaseAt(powerUps, i, powerUpPool);
+    }
+  }
+}
+
+function drawPowerUps() {
+  for (let powerUp of powerUps) {
+    powerUp.draw();
+  }
+}
+
+// --- Levels ---
+
+function loadLevels() {
+  LEVEL_FILES.forEach((file, i) => {
+    loadJSON(file, data => {
+      if (!data || !Array.isArray(data.waves)) {
+        levelLoadError = `${file} is not a valid level.`;
+        return;
+      }
+      levels[i] = data;
+      levelsLoaded++;
+    }, () => {
+      levelLoadError = `Could not load ${file}. Serve the game over HTTP rather than opening the file directly.`;
+    });
+  });
+}
+
+function levelsReady() {
+  return levelsLoaded === LEVEL_FILES.length;
+}
+
+function secondsToTicks(seconds) {
+  return round(seconds * TICKS_PER_SECOND);
+}
+
+// Speed and toughness factor for the current loop through the levels
+function loopFactor() {
+  return 1 + levelLoop * LOOP_SPEEDUP;
+}
+
+function startLevel(index) {
+  if (index >= levels.length) {
+    index = 0;
+    levelLoop++;
+  }
+  levelIndex = index;
+  levelPhase = 'WAVES';
+  levelStartTick = tick;
+  nextWave = 0;
+  boss = null;
+}
+
+// Spawns due waves; once they're all out and cleared, brings on the boss;
+// after the boss, moves on to the next level
+function updateLevel() {
+  const level = levels[levelIndex];
+  if (levelPhase === 'WAVES') {
+    while (nextWave < level.waves.length && tick - levelStartTick >= secondsToTicks(level.waves[nextWave].time)) {
+      spawnWave(level.waves[nextWave]);
+      nextWave++;
+    }
+    if (nextWave >= level.waves.length && obstacles.length === 0) {
+      if (level.boss) {
+        boss = createBoss(level.boss);
+        levelPhase = 'BOSS';
+      } else {
+        clearLevel();
+      }
+    }
+  } else if (levelPhase === 'CLEAR' && tick - levelClearTick >= LEVEL_CLEAR_TICKS) {
+    startLevel(levelIndex + 1);
+  }
+}
+
+function clearLevel() {
+  levelPhase = 'CLEAR';
+  levelClearTick = tick;
+  addScore(levels[levelIndex].clearBonus || 0);
+}
+
+function spawnWave(wave) {
+  const count = wave.count || 1;
+  const spacing = wave.spacing || 50;
+  const centerY = (wave.y !== undefined ? wave.y : randomBetween(0.15, 0.85)) * playfield.h;
+  for (let i = 0; i < count; i++) {
+    const offset = i - (count - 1) / 2; // Position relative to the middle of the formation
+    let x = playfield.w + 50;
+    let y = centerY;
+    if (wave.formation === 'line') {
+      x += i * spacing;
+    } else if (wave.formation === 'column') {
+      y += offset * spacing;
+    } else if (wave.formation === 'v') {
+      x += abs(offset) * spacing;
+      y += offset * spacing;
+    } else if (wave.formation === 'scatter') {
+      x += i * spacing;
+      y = randomBetween(50, playfield.h - 50);
+    }
+    obstacles.push(createObstacle(wave.enemy, x, constrain(y, 30, playfield.h - 30), wave));
+  }
+}
+
+// Takes a hit off an enemy; returns whether it was destroyed
+function damageEnemy(obs, amount) {
+  obs.health -= amount;
+  obs.hitFlashUntil = tick + 4;
+  if (obs.health > 0) {
+    playEnemyHit();
+    return false;
+  }
+  playExplosion(false);
+  addScore(obs.points); // Add score for destroying
+  kills++;
+  if (nextRandom() < POWERUP_DROP_CHANCE) {
+    powerUps.push(createPowerUp(obs.x, obs.y));
+  }
+  return true;
+}
+
+function damageBoss(amount) {
+  boss.health -= amount;
+  boss.hitFlashUntil = tick + 4;
+  if (boss.health <= 0) {
+    playExplosion(true);
+    addScore(boss.points);
+    kills++;
+    powerUps.push(createPowerUp(boss.x, boss.y)); // Bosses always drop something
+    boss.alive = false;
+    boss = null;
+    clearLevel();
+  } else {
+    playEnemyHit();
   }
 }
 
 // --- Collision Detection ---
+
 function checkCollisions() {
-  // 1. Player vs Obstacles
-  for (let i = obstacles.length - 1; i >= 0; i--) {
-    let obs = obstacles[i];
-    // Simple rectangle overlap check
-    if (
-      player.x + player.w / 2 > obs.x - obs.w / 2 &&
-      player.x - player.w / 2 < obs.x + obs.w / 2 &&
-      player.y + player.h / 2 > obs.y - obs.h / 2 &&
-      player.y - player.h / 2 < obs.y + obs.h / 2
-    ) {
-      gameOver();
-      return; // Stop checking collisions if game over
+  // Broad phase: file the obstacles and the boss under the grid cells they cover
+  collisionGrid.clear();
+  for (let obs of obstacles) {
+    collisionGrid.insert(obs);
+  }
+  if (boss) {
+    collisionGrid.insert(boss);
+  }
+
+  // 1. Player vs Obstacles and the boss; the boss can't be rammed out of the way
+  for (let other of collisionGrid.query(player, collisionCandidates)) {
+    if (!other.alive || !hitboxesOverlap(player, other)) {
+      continue;
+    }
+    if (isPowerUpActive('SHIELD')) {
+      // The shield takes the hit and wrecks the obstacle
+      if (!other.isBoss) {
+        playExplosion(false);
+        addScore(other.points);
+        kills++;
+        other.alive = false;
+      }
+    } else if (!isInvulnerable()) {
+      if (!other.isBoss) {
+        other.alive = false;
+      }
+      hitPlayer();
+      if (lives <= 0) {
+        releaseDead(obstacles, obstaclePool);
+        return; // Stop checking collisions if game over
+      }
     }
   }
 
-  // 2. Bullets vs Obstacles
+  // 2. Bullets vs Obstacles and the boss
   for (let i = bullets.length - 1; i >= 0; i--) {
     let bullet = bullets[i];
-    for (let j = obstacles.length - 1; j >= 0; j--) {
-      let obs = obstacles[j];
-      // Simple distance check (treat bullet as point, obstacle has hitbox)
-      if (dist(bullet.x, bullet.y, obs.x, obs.y) < max(obs.w / 2, obs.h/2) + bullet.size / 2) {
-          score += obs.points; // Add score for hitting
-          obstacles.splice(j, 1); // Remove hit obstacle
-          bullets.splice(i, 1);   // Remove the bullet
-          break; // Stop checking this bullet against other obstacles
+    for (let other of collisionGrid.query(bullet, collisionCandidates)) {
+      if (other.alive && hitboxesOverlap(bullet, other)) {
+        if (other.isBoss) {
+          damageBoss(1);
+        } else if (damageEnemy(other, 1)) {
+          other.alive = false; // Destroyed; removed below
+        }
+        releaseAt(bullets, i, bulletPool); // Remove the bullet
+        break; // Stop checking this bullet against other obstacles
+      }
+    }
+  }
+  releaseDead(obstacles, obstaclePool);
+
+  // 3. Enemy bullets vs Player
+  for (let i = enemyBullets.length - 1; i >= 0; i--) {
+    if (!hitboxesOverlap(enemyBullets[i], player)) {
+      continue;
+    }
+    if (isPowerUpActive('SHIELD')) {
+      releaseAt(enemyBullets, i, enemyBulletPool); // Absorbed by the shield
+    } else if (!isInvulnerable()) {
+      releaseAt(enemyBullets, i, enemyBulletPool);
+      hitPlayer();
+      if (lives <= 0) {
+        return;
       }
     }
   }
+
+  // 4. Player vs Power-up pickups
+  for (let i = powerUps.length - 1; i >= 0; i--) {
+    if (hitboxesOverlap(powerUps[i], player)) {
+      collectPowerUp(powerUps[i].type);
+      releaseAt(powerUps, i, powerUpPool);
+    }
+  }
+}
+
+// Outlines every hitbox, to check them against what's drawn (toggled with H)
+function drawHitboxes() {
+  noFill();
+  stroke(0, 255, 0);
+  strokeWeight(1);
+  const entities = [player, ...obstacles, ...bullets, ...enemyBullets, ...powerUps];
+  if (boss) {
+    entities.push(boss);
+  }
+  for (let entity of entities) {
+    for (let box of entity.hitboxes.boxes) {
+      rect(entity.x + box.dx - box.w / 2, entity.y + box.dy - box.h / 2, box.w, box.h);
+    }
+  }
+  noStroke();
+}
+
+// --- Lives and Power-ups ---
+
+// Adds points, doubled while the score multiplier is running, with a jingle at each milestone
+function addScore(points) {
+  score += isPowerUpActive('MULTIPLIER') ? points * 2 : points;
+  if (score >= nextMilestone) {
+    playMilestone();
+    nextMilestone = (floor(score / SCORE_MILESTONE) + 1) * SCORE_MILESTONE;
+  }
+}
+
+function isPowerUpActive(type) {
+  return activePowerUps[type] !== undefined;
+}
+
+function isInvulnerable() {
+  return tick < invulnerableUntil;
+}
+
+function collectPowerUp(type) {
+  if (type === 'BOMB') {
+    bombs = min(bombs + 1, MAX_BOMBS);
+  } else {
+    activePowerUps[type] = tick + POWERUPS[type].duration;
+  }
+}
+
+// Takes a life; the last one ends the run
+function hitPlayer() {
+  lives--;
+  playPlayerHit();
+  if (lives <= 0) {
+    playExplosion(true);
+    gameOver();
+    return;
+  }
+  invulnerableUntil = tick + INVULNERABLE_TICKS;
+}
+
+// Clears every obstacle and enemy bullet on screen, scoring each obstacle, and hurts the boss
+function detonateBomb() {
+  if (bombs === 0) {
+    return;
+  }
+  bombs--;
+  playExplosion(true);
+  for (let obs of obstacles) {
+    addScore(obs.points);
+    kills++;
+  }
+  obstaclePool.releaseAll(obstacles);
+  enemyBulletPool.releaseAll(enemyBullets);
+  if (boss) {
+    damageBoss(BOMB_BOSS_DAMAGE);
+  }
+  bombFlashUntil = tick + 20;
 }
 
 // --- Game State Management ---
 
 function gameOver() {
+  if (gameState === 'REPLAY') {
+    finishReplay(false);
+    return;
+  }
   gameState = 'GAME_OVER';
+  // Presses left over from play (up and down are read as held, so theirs are never taken)
+  // would otherwise roll the first initial or restart the run
+  clearActionPresses();
+  lastReplay = {
+    version: REPLAY_VERSION,
+    seed: runSeed,
+    width: playfield.w,
+    height: playfield.h,
+    ticks: recordedInputs.length,
+    score: score,
+    inputs: encodeInputs(recordedInputs)
+  };
+  menuMessage = '';
+  menuShownAt = millis();
+  newHighScore = null;
+  if (isHighScore(score)) {
+    newHighScore = {
+      initials: '',
+      score: score,
+      date: new Date().toISOString(),
+      time: floor(tick / TICKS_PER_SECOND),
+      kills: kills,
+      level: levelIndex + 1 + levelLoop * levels.length
+    };
+    initials = ['A', 'A', 'A'];
+    initialsCursor = 0;
+    gameState = 'ENTER_INITIALS';
+  }
   // You could add explosion effects here
 }
 
-function resetGame() {
+// Sets up a fresh run on the given playfield; the seed decides everything random in it
+function startRun(seed, w, h) {
+  playfield = { w: w, h: h };
+  seedRandom(seed);
   player = createPlayer();
-  bullets = [];
-  obstacles = [];
+  bulletPool.releaseAll(bullets);
+  obstaclePool.releaseAll(obstacles);
+  powerUpPool.releaseAll(powerUps);
   score = 0;
+  nextMilestone = SCORE_MILESTONE;
+  kills = 0;
+  lives = START_LIVES;
+  bombs = 0;
+  invulnerableUntil = 0;
+  activePowerUps = {};
+  bombFlashUntil = 0;
+  enemyBulletPool.releaseAll(enemyBullets);
   scrollSpeed = baseScrollSpeed;
-  lastObstacleFrame = frameCount; // Reset spawn timer relative to current frame
+  tick = 0;
+  levelLoop = 0;
+  startLevel(0);
+  lastShotTick = -fireRate; // Allow a shot on the first tick
+  clearActionPresses();
+}
+
+function resetGame() {
+  runSeed = floor(random(4294967296));
+  startRun(runSeed, windowWidth, windowHeight);
+  recordedInputs = [];
+  menuMessage = '';
   gameState = 'PLAYING';
 }
 
+// --- Replays ---
+
+// Run-length encodes the input masks as [mask, count] pairs; most ticks repeat the last one
+function encodeInputs(inputs) {
+  const runs = [];
+  for (let input of inputs) {
+    const last = runs[runs.length - 1];
+    if (last && last[0] === input) {
+      last[1]++;
+    } else {
+      runs.push([input, 1]);
+    }
+  }
+  return runs;
+}
+
+function decodeInputs(runs) {
+  const inputs = [];
+  for (let [input, count] of runs) {
+    for (let i = 0; i < count; i++) {
+      inputs.push(input);
+    }
+  }
+  return inputs;
+}
+
+function isValidReplay(replay) {
+  return !!replay &&
+    replay.version === REPLAY_VERSION &&
+    Number.isInteger(replay.seed) &&
+    Number.isInteger(replay.score) &&
+    replay.width > 0 && replay.height > 0 &&
+    Array.isArray(replay.inputs) &&
+    replay.inputs.every(run => Array.isArray(run) && Number.isInteger(run[0]) && Number.isInteger(run[1]) && run[1] > 0);
+}
+
+function startReplay(replay) {
+  startRun(replay.seed, replay.width, replay.height);
+  replayInputs = decodeInputs(replay.inputs);
+  menuMessage = '';
+  gameState = 'REPLAY';
+}
+
+// Ends the replay; a replay watched to the end should land on the recorded score
+function finishReplay(stopped) {
+  const replayScore = score;
+  gameState = 'GAME_OVER';
+  menuShownAt = millis();
+  score = lastReplay.score;
+  if (stopped) {
+    menuMessage = 'Replay stopped.';
+  } else if (replayScore === lastReplay.score) {
+    menuMessage = `Replay finished: ${replayScore} points, same as the recorded run.`;
+  } else {
+    menuMessage = `Replay finished at ${replayScore} points, but the run scored ${lastReplay.score}. Recorded with another version?`;
+  }
+}
+
+function downloadReplay() {
+  saveJSON(lastReplay, `harrier-replay-${lastReplay.score}.json`);
+}
+
+// Called by the hidden file picker with a p5.File
+function handleReplayFile(file) {
+  file.file.text().then(text => {
+    let replay;
+    try {
+      replay = JSON.parse(text);
+    } catch (error) {
+      replay = null;
+    }
+    if (replay && replay.version !== undefined && replay.version !== REPLAY_VERSION) {
+      menuMessage = `${file.name} was recorded with another version of the game.`;
+      return;
+    }
+    if (!isValidReplay(replay)) {
+      menuMessage = `${file.name} is not a Harrier Runner replay.`;
+      return;
+    }
+    lastReplay = replay;
+    startReplay(replay);
+  }).catch(error => {
+    console.error('Could not read the replay file:', error);
+    menuMessage = `Could not read ${file.name}.`;
+  });
+  replayFileInput.elt.value = ''; // Allow choosing the same file again
+}
+
+// --- High Scores ---
+
+function isValidHighScore(entry) {
+  return !!entry &&
+    typeof entry.initials === 'string' && /^[A-Z]{1,3}$/.test(entry.initials) &&
+    Number.isInteger(entry.score) && entry.score >= 0 &&
+    typeof entry.date === 'string' && !isNaN(Date.parse(entry.date)) &&
+    Number.isInteger(entry.time) && Number.isInteger(entry.kills) && Number.isInteger(entry.level);
+}
+
+// Best first; of equal scores, the one set first ranks higher
+function sortHighScores(entries) {
+  return entries.sort((a, b) => b.score - a.score || Date.parse(a.date) - Date.parse(b.date)).slice(0, HIGH_SCORE_COUNT);
+}
+
+function loadHighScores() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HIGH_SCORE_STORAGE_KEY));
+    if (Array.isArray(saved)) {
+      return sortHighScores(saved.filter(isValidHighScore));
+    }
+  } catch (error) {
+    console.warn('Could not read the high scores, starting fresh:', error);
+  }
+  return [];
+}
+
+function saveHighScores() {
+  try {
+    localStorage.setItem(HIGH_SCORE_STORAGE_KEY, JSON.stringify(highScores));
+  } catch (error) {
+    console.error('Could not save the high scores:', error);
+  }
+}
+
+function isHighScore(points) {
+  return points > 0 && (highScores.length < HIGH_SCORE_COUNT || points > highScores[highScores.length - 1].score);
+}
+
+function submitInitials() {
+  newHighScore.initials = initials.join('');
+  highScores = sortHighScores([...highScores, newHighScore]);
+  saveHighScores();
+  gameState = 'GAME_OVER';
+  menuShownAt = millis() - MENU_PAGE_MS; // Open on the table, with the new entry highlighted
+}
+
+function skipInitials() {
+  newHighScore = null; // Skip entering a name
+  gameState = 'GAME_OVER';
+}
+
+// Arcade style: rolls the letter under the cursor `step` places through the alphabet
+function rollInitial(step) {
+  initials[initialsCursor] = String.fromCharCode(65 + (initials[initialsCursor].charCodeAt(0) - 65 + step) % 26);
+}
+
+function handleInitialsKey() {
+  if (keyCode === ENTER || keyCode === RETURN) {
+    submitInitials();
+  } else if (keyCode === ESCAPE) {
+    skipInitials();
+  } else if (keyCode === BACKSPACE || keyCode === LEFT_ARROW) {
+    initialsCursor = max(0, initialsCursor - 1);
+  } else if (keyCode === RIGHT_ARROW) {
+    initialsCursor = min(INITIALS_LENGTH - 1, initialsCursor + 1);
+  } else if (keyCode === UP_ARROW || keyCode === DOWN_ARROW) {
+    rollInitial(keyCode === UP_ARROW ? 1 : 25);
+  } else if (/^[a-z]$/i.test(key)) {
+    initials[initialsCursor] = key.toUpperCase();
+    if (initialsCursor === INITIALS_LENGTH - 1) {
+      submitInitials();
+    } else {
+      initialsCursor++;
+    }
+  }
+}
+
+function exportHighScores() {
+  saveJSON(highScores, 'harrier-high-scores.json');
+}
+
+// Merges an exported table into ours, so scores from several machines end up in one table
+function handleHighScoreFile(file) {
+  file.file.text().then(text => {
+    let imported;
+    try {
+      imported = JSON.parse(text);
+    } catch (error) {
+      imported = null;
+    }
+    if (!Array.isArray(imported) || !imported.every(isValidHighScore)) {
+      menuMessage = `${file.name} is not a Harrier Runner high-score table.`;
+      return;
+    }
+    const known = new Set(highScores.map(entry => `${entry.initials}|${entry.score}|${entry.date}`));
+    const added = imported.filter(entry => !known.has(`${entry.initials}|${entry.score}|${entry.date}`));
+    highScores = sortHighScores([...highScores, ...added]);
+    saveHighScores();
+    menuMessage = `Merged ${added.length} score${added.length === 1 ? '' : 's'} from ${file.name}.`;
+    menuShownAt = millis() - MENU_PAGE_MS; // Show the merged table
+  }).catch(error => {
+    console.error('Could not read the high-score file:', error);
+    menuMessage = `Could not read ${file.name}.`;
+  });
+  highScoreFileInput.elt.value = ''; // Allow choosing the same file again
+}
+
 // --- Input Handling ---
+
+// Reads this tick's input as a bit mask from the keyboard, gamepad and touch controls
+function readInput() {
+  let input = 0;
+  if (isActionDown('up')) {
+    input |= INPUT_UP;
+  }
+  if (isActionDown('down')) {
+    input |= INPUT_DOWN;
+  }
+  // Holding fire keeps shooting at the fire rate; a tap shorter than a tick still counts
+  const fireTapped = takeActionPress('fire');
+  if (fireTapped || isActionDown('fire')) {
+    input |= INPUT_FIRE;
+  }
+  if (takeActionPress('bomb')) {
+    input |= INPUT_BOMB;
+  }
+  return input;
+}
+
+// Gamepad and touch presses outside of play: starting a run, naming a high score,
+// stopping a replay. Whatever isn't used is dropped so it can't leak into the next run.
+function handleMenuPresses() {
+  if (gameState === 'START' || gameState === 'GAME_OVER') {
+    if ((takeActionPress('start') || takeActionPress('fire')) && levelsReady()) {
+      resetGame();
+    }
+  } else if (gameState === 'ENTER_INITIALS') {
+    if (takeActionPress('up')) {
+      rollInitial(1);
+    } else if (takeActionPress('down')) {
+      rollInitial(25);
+    } else if (takeActionPress('bomb')) {
+      initialsCursor = max(0, initialsCursor - 1);
+    } else if (takeActionPress('fire') || takeActionPress('start')) {
+      if (initialsCursor === INITIALS_LENGTH - 1) {
+        submitInitials();
+      } else {
+        initialsCursor++;
+      }
+    }
+  } else if (gameState === 'REPLAY') {
+    if (takeActionPress('start')) {
+      finishReplay(true);
+    }
+  }
+  clearActionPresses();
+}
+
+function openControls() {
+  controlsReturnState = gameState;
+  controlsRow = 0;
+  awaitingBinding = false;
+  controlsMessage = '';
+  gameState = 'CONTROLS';
+}
+
+function handleControlsKey() {
+  if (awaitingBinding) {
+    if (keyCode === ESCAPE) {
+      awaitingBinding = false;
+    } else if (bindKey(ACTIONS[controlsRow], keyCode)) {
+      awaitingBinding = false;
+      controlsMessage = `${ACTION_NAMES[ACTIONS[controlsRow]]} is now ${keyName(keyCode)}.`;
+    } else {
+      controlsMessage = `${keyName(keyCode)} is kept for the menus; pick another key.`;
+    }
+    return;
+  }
+  if (handleSoundKey()) {
+    return;
+  }
+  if (keyCode === UP_ARROW) {
+    controlsRow = (controlsRow + ACTIONS.length - 1) % ACTIONS.length;
+  } else if (keyCode === DOWN_ARROW) {
+    controlsRow = (controlsRow + 1) % ACTIONS.length;
+  } else if (keyCode === ENTER || keyCode === RETURN) {
+    awaitingBinding = true;
+    controlsMessage = '';
+  } else if (keyCode === BACKSPACE) {
+    restoreDefaultKeys();
+  } else if (keyCode === ESCAPE) {
+    closeControls();
+  }
+}
+
+function restoreDefaultKeys() {
+  resetKeyBindings();
+  controlsMessage = 'Restored the default keys.';
+}
+
+function closeControls() {
+  gameState = controlsReturnState;
+  menuShownAt = millis();
+}
+
+// M mutes and [ ] change the volume on every screen; true if the key was one of them
+function handleSoundKey() {
+  if (key === 'm' || key === 'M') {
+    toggleMute();
+    return true;
+  }
+  if (key === '[' || key === ']') {
+    changeVolume(key === ']' ? VOLUME_STEP : -VOLUME_STEP);
+    return true;
+  }
+  return false;
+}
+
 function keyPressed() {
-  if (keyCode === 32) { // Spacebar
-    if (gameState === 'PLAYING') {
-      player.shoot();
-    } else if (gameState === 'START' || gameState === 'GAME_OVER') {
+  unlockAudio(); // Browsers only start sound after a key press, click or tap
+  if (gameState === 'ENTER_INITIALS') {
+    handleInitialsKey();
+    return;
+  }
+  if (gameState === 'CONTROLS') {
+    handleControlsKey();
+    return;
+  }
+  const action = actionForKey(keyCode);
+  if (gameState === 'PLAYING' && action) {
+    pressAction(action); // Taken on the next tick, so even a tap shorter than a tick is recorded
+    return;
+  }
+  if (key === 'h' || key === 'H') {
+    showHitboxes = !showHitboxes;
+    return;
+  }
+  if (handleSoundKey()) {
+    return;
+  }
+  if (gameState === 'REPLAY') {
+    if (action === 'fire' || keyCode === ESCAPE) {
+      finishReplay(true);
+    }
+    return;
+  }
+  if ((gameState === 'START' || gameState === 'GAME_OVER') && levelsReady()) {
+    if (action === 'fire' || keyCode === ENTER) {
       resetGame();
+    } else if (key === 'c' || key === 'C') {
+      openControls();
+    } else if (key === 'l' || key === 'L') {
+      replayFileInput.elt.click();
+    } else if (lastReplay && (key === 'r' || key === 'R')) {
+      startReplay(lastReplay);
+    } else if (lastReplay && (key === 'd' || key === 'D')) {
+      downloadReplay();
+    } else if (key === 'e' || key === 'E') {
+      exportHighScores();
+    } else if (key === 'i' || key === 'I') {
+      highScoreFileInput.elt.click();
+    }
+  }
+}
+
+// Taps and clicks outside of play: the menu buttons, the letters of a high-score name,
+// and stopping a replay. Ignored just after the screen changes.
+function handleMenuTap(x, y) {
+  noteScreenChange();
+  if (millis() - screenShownAt < MENU_TAP_DELAY_MS) {
+    return;
+  }
+  if (gameState === 'REPLAY') {
+    finishReplay(true);
+    return;
+  }
+  if (gameState === 'ENTER_INITIALS') {
+    // Tapping a letter rolls it on
+    const letter = round((x - windowWidth / 2) / 60) + 1;
+    if (letter >= 0 && letter < INITIALS_LENGTH && abs(y - (windowHeight / 2 + 40)) < 40) {
+      initialsCursor = letter;
+      rollInitial(1);
+      return;
     }
   }
+  const button = layoutMenuButtons(menuButtons()).find(candidate =>
+    x >= candidate.x && x <= candidate.x + candidate.w && y >= candidate.y && y <= candidate.y + candidate.h);
+  if (button) {
+    button.press();
+  }
+}
+
+// In play, the touch controls are read by updateTouchControls()
+function touchStarted() {
+  unlockAudio();
+  touchControlsVisible = true;
+  return false; // No scrolling, zooming or emulated mouse clicks
+}
+
+// Menu taps act on release, as browsers only let a finished tap open the file pickers
+// or start sound; touchStarted() tries too, which is enough in some browsers
+function touchEnded(event) {
+  unlockAudio();
+  const touch = event && event.changedTouches ? event.changedTouches[0] : null;
+  if (touch && gameState !== 'PLAYING') {
+    handleMenuTap(touch.clientX, touch.clientY);
+  }
+  return false;
+}
+
+function mousePressed() {
+  unlockAudio();
+}
+
+function mouseReleased() {
+  if (gameState !== 'PLAYING') {
+    handleMenuTap(mouseX, mouseY);
+  }
 }
 
 // --- Handle Window Resizing ---
@@ -388,6 +1922,8 @@ function windowResized() {
    if (gameState === 'PLAYING') {
        gameOver(); // End current game if resized during play
        // Optional: You could try to reposition player: player.y = constrain(player.y, player.h / 2 + 10, windowHeight - player.h / 2 - 10);
+   } else if (gameState === 'REPLAY') {
+       // No action needed, the playfield is scaled to the new window
    } else if(gameState === 'START') {
        // No action needed, start screen will recenter
    } else if (gameState === 'GAME_OVER') {
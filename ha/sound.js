@@ -0,0 +1,272 @@
+// Sound for Harrier Runner, synthesised with the Web Audio API: no sample files, just
+// oscillators and a buffer of white noise shaped into chiptune-style effects, plus a
+// looping soundtrack made up as it plays, whose tempo follows the game's speed.
+// Mute and volume are kept in localStorage.
+// Loaded before sketch.js. Browsers only allow audio after a key press, click or tap, so
+// the sketch calls unlockAudio() from its input handlers; until then every call is a no-op.
+// Gamepad buttons don't count, so a player with only a gamepad has to press a key or tap
+// the screen once to hear anything; the controls screen says so.
+
+// --- Configuration ---
+const AUDIO_STORAGE_KEY = 'harrierRunner.audio';
+const DEFAULT_VOLUME = 0.5;
+const VOLUME_STEP = 0.1;
+const MUSIC_VOLUME = 0.35; // Relative to the effects
+const MUSIC_BASE_BPM = 120; // At the starting scroll speed
+const MUSIC_MAX_BPM = 190;
+const MUSIC_LOOKAHEAD = 0.15; // Seconds of music scheduled ahead of time
+const MUSIC_STEPS_PER_BAR = 16; // Sixteenth notes
+// A minor loop, Am - F - C - G, as MIDI notes
+const MUSIC_PROGRESSION = [[57, 60, 64], [53, 57, 60], [48, 52, 55], [55, 59, 62]];
+
+// --- Global Variables ---
+let audioContext = null;
+let masterGain; // Volume and mute
+let effectsGain;
+let musicGain;
+let noiseBuffer;
+let audioSettings = loadAudioSettings(); // { muted, volume }
+let musicPlaying = false;
+let musicStep = 0; // Sixteenth note within the progression
+let nextNoteTime = 0; // audioContext time of the next step to schedule
+let leadPattern = []; // Chord-tone index per step of the current bar, or -1 for a rest
+
+// --- Settings ---
+
+function loadAudioSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(AUDIO_STORAGE_KEY));
+    if (saved && typeof saved.muted === 'boolean' && typeof saved.volume === 'number') {
+      return { muted: saved.muted, volume: Math.min(1, Math.max(0, saved.volume)) };
+    }
+  } catch (error) {
+    console.warn('Could not read the sound settings, using the defaults:', error);
+  }
+  return { muted: false, volume: DEFAULT_VOLUME };
+}
+
+function saveAudioSettings() {
+  try {
+    localStorage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(audioSettings));
+  } catch (error) {
+    console.error('Could not save the sound settings:', error);
+  }
+}
+
+function applyVolume() {
+  if (audioContext) {
+    masterGain.gain.setValueAtTime(audioSettings.muted ? 0 : audioSettings.volume, audioContext.currentTime);
+  }
+}
+
+function toggleMute() {
+  audioSettings.muted = !audioSettings.muted;
+  applyVolume();
+  saveAudioSettings();
+}
+
+// Changes the volume by `delta` (0 to 1); turning it up also unmutes
+function changeVolume(delta) {
+  audioSettings.volume = Math.round(Math.min(1, Math.max(0, audioSettings.volume + delta)) * 10) / 10;
+  if (delta > 0) {
+    audioSettings.muted = false;
+  }
+  applyVolume();
+  saveAudioSettings();
+}
+
+// For the HUD: "off" or the volume as a percentage
+function soundLabel() {
+  return audioSettings.muted ? 'off' : `${Math.round(audioSettings.volume * 100)}%`;
+}
+
+// --- Audio Setup ---
+
+// Creates the audio graph on the first user gesture, and resumes it if the browser suspended it
+function unlockAudio() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) {
+    return;
+  }
+  if (!audioContext) {
+    audioContext = new AudioContextClass();
+    masterGain = audioContext.createGain();
+    masterGain.connect(audioContext.destination);
+    effectsGain = audioContext.createGain();
+    effectsGain.connect(masterGain);
+    musicGain = audioContext.createGain();
+    musicGain.gain.value = MUSIC_VOLUME;
+    musicGain.connect(masterGain);
+    applyVolume();
+
+    // One second of white noise, reused by every explosion and drum hit
+    noiseBuffer = audioContext.createBuffer(1, audioContext.sampleRate, audioContext.sampleRate);
+    const samples = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = Math.random() * 2 - 1;
+    }
+  }
+  if (audioContext.state === 'suspended') {
+    audioContext.resume();
+  }
+}
+
+function isAudioOn() {
+  return !!audioContext && !audioSettings.muted;
+}
+
+// --- Synthesis ---
+
+function midiToFrequency(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// One oscillator note sliding from `fromFreq` to `toFreq`, with a quick attack and decay
+function playTone(type, fromFreq, toFreq, start, duration, volume, destination) {
+  const oscillator = audioContext.createOscillator();
+  const gain = audioContext.createGain();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(fromFreq, start);
+  if (toFreq !== fromFreq) {
+    oscillator.frequency.exponentialRampToValueAtTime(toFreq, start + duration);
+  }
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(volume, start + 0.005);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+  oscillator.connect(gain);
+  gain.connect(destination);
+  oscillator.start(start);
+  oscillator.stop(start + duration + 0.02);
+}
+
+// A burst of noise through a filter swept from `fromFreq` to `toFreq`
+function playNoise(filterType, fromFreq, toFreq, start, duration, volume, destination) {
+  const source = audioContext.createBufferSource();
+  const filter = audioContext.createBiquadFilter();
+  const gain = audioContext.createGain();
+  source.buffer = noiseBuffer;
+  source.loop = duration > noiseBuffer.duration;
+  filter.type = filterType;
+  filter.frequency.setValueAtTime(fromFreq, start);
+  filter.frequency.exponentialRampToValueAtTime(toFreq, start + duration);
+  gain.gain.setValueAtTime(volume, start);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+  source.connect(filter);
+  filter.connect(gain);
+  gain.connect(destination);
+  source.start(start);
+  source.stop(start + duration + 0.02);
+}
+
+// --- Sound Effects ---
+
+function playShot() {
+  if (!isAudioOn()) {
+    return;
+  }
+  playTone('square', 1200, 400, audioContext.currentTime, 0.08, 0.12, effectsGain);
+}
+
+// A crunch for shot-down enemies; `big` for bosses, bombs and the player going down
+function playExplosion(big) {
+  if (!isAudioOn()) {
+    return;
+  }
+  const now = audioContext.currentTime;
+  const duration = big ? 0.9 : 0.3;
+  playNoise('lowpass', big ? 2500 : 4000, 80, now, duration, big ? 0.6 : 0.35, effectsGain);
+  playTone('triangle', big ? 120 : 200, 30, now, duration, big ? 0.5 : 0.25, effectsGain);
+}
+
+// A thud for shots that hurt an enemy without bringing it down
+function playEnemyHit() {
+  if (!isAudioOn()) {
+    return;
+  }
+  playTone('square', 300, 150, audioContext.currentTime, 0.05, 0.08, effectsGain);
+}
+
+function playPlayerHit() {
+  if (!isAudioOn()) {
+    return;
+  }
+  const now = audioContext.currentTime;
+  playTone('sawtooth', 600, 60, now, 0.5, 0.3, effectsGain);
+  playNoise('bandpass', 1500, 200, now, 0.4, 0.3, effectsGain);
+}
+
+// A rising arpeggio, for every score milestone
+function playMilestone() {
+  if (!isAudioOn()) {
+    return;
+  }
+  const now = audioContext.currentTime;
+  [72, 76, 79, 84].forEach((note, i) => {
+    playTone('square', midiToFrequency(note), midiToFrequency(note), now + i * 0.07, 0.12, 0.15, effectsGain);
+  });
+}
+
+// --- Music ---
+
+// Makes up the lead line for one bar: mostly chord tones on the beat, some rests
+function composeLeadPattern() {
+  leadPattern = [];
+  for (let step = 0; step < MUSIC_STEPS_PER_BAR; step++) {
+    const onBeat = step % 4 === 0;
+    leadPattern.push(Math.random() < (onBeat ? 0.9 : 0.45) ? Math.floor(Math.random() * 4) : -1);
+  }
+}
+
+function scheduleMusicStep(step, time, stepTime) {
+  const beat = step % MUSIC_STEPS_PER_BAR;
+  const chord = MUSIC_PROGRESSION[Math.floor(step / MUSIC_STEPS_PER_BAR) % MUSIC_PROGRESSION.length];
+  if (beat === 0) {
+    composeLeadPattern();
+  }
+
+  // Bass: the root on every eighth, jumping an octave on the offbeats
+  if (beat % 2 === 0) {
+    const note = chord[0] - 24 + (beat % 4 === 2 ? 12 : 0);
+    playTone('triangle', midiToFrequency(note), midiToFrequency(note), time, stepTime * 1.8, 0.5, musicGain);
+  }
+  // Lead: chord tones an octave up; index 3 is the root an octave higher still
+  if (leadPattern[beat] >= 0) {
+    const note = (leadPattern[beat] === 3 ? chord[0] + 12 : chord[leadPattern[beat]]) + 12;
+    playTone('square', midiToFrequency(note), midiToFrequency(note), time, stepTime * 0.9, 0.12, musicGain);
+  }
+  // Drums: kick on 1 and 3, snare on 2 and 4, hi-hat on the offbeats
+  if (beat === 0 || beat === 8) {
+    playTone('sine', 150, 40, time, 0.15, 0.8, musicGain);
+  } else if (beat === 4 || beat === 12) {
+    playNoise('bandpass', 2000, 1000, time, 0.12, 0.4, musicGain);
+  }
+  if (beat % 4 === 2) {
+    playNoise('highpass', 7000, 7000, time, 0.03, 0.2, musicGain);
+  }
+}
+
+// Called every frame: keeps the soundtrack scheduled a little ahead while `playing`,
+// at a tempo scaled by `tempoFactor` (the scroll speed relative to its starting value)
+function updateMusic(playing, tempoFactor) {
+  if (!audioContext || !playing) {
+    musicPlaying = false;
+    return;
+  }
+  const now = audioContext.currentTime;
+  if (!musicPlaying || nextNoteTime < now - 0.2) {
+    // Starting, or catching up after the tab was in the background
+    if (!musicPlaying) {
+      musicStep = 0;
+    }
+    musicPlaying = true;
+    nextNoteTime = now + 0.05;
+  }
+  const stepTime = 60 / Math.min(MUSIC_BASE_BPM * tempoFactor, MUSIC_MAX_BPM) / 4;
+  while (nextNoteTime < now + MUSIC_LOOKAHEAD) {
+    if (!audioSettings.muted) {
+      scheduleMusicStep(musicStep, nextNoteTime, stepTime);
+    }
+    nextNoteTime += stepTime;
+    musicStep = (musicStep + 1) % (MUSIC_STEPS_PER_BAR * MUSIC_PROGRESSION.length);
+  }
+}
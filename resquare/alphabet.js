@@ -0,0 +1,98 @@
+// Alphabets: which letters words and tiles may use in each language, and how typed or
+// listed text is normalized into them. Shared by the page, the solver worker (via
+// importScripts) and Node (build-index.js, solve.js).
+//
+// Text is normalized to NFC and lowercased. With accent folding on, letters that are not
+// one of the language's own letters lose their accents (é → e) and ligatures are spelled
+// out (œ → oe), so "café" and "cafe" are the same word. Without it, accented letters are
+// kept as they are and only count if the language lists them; words with any other
+// letter are dropped, as before.
+
+// --- Configuration ---
+// Per language:
+//   letters:     the language's own letters, never folded (ñ in Spanish, å ä ö in Swedish)
+//   accented:    further letters that only count when accents are not folded
+//   dictionary:  plain word list, one word per line, in the same directory, if one is bundled;
+//                without one, the words come from the dictionary profile's lists (see
+//                profiles.js) or from solve.js --dictionary
+//   index:       precompiled index of the list (build-index.js), if there is one
+//   frequencies: word frequencies for commonness scores (wordscore.js), if there are any
+const LANGUAGES = {
+    en: { name: 'English', letters: 'abcdefghijklmnopqrstuvwxyz', accented: '', dictionary: 'words.txt', index: 'words.dawg', frequencies: 'frequencies.txt' },
+    es: { name: 'Español', letters: 'abcdefghijklmnñopqrstuvwxyz', accented: 'áéíóúü' },
+    fr: { name: 'Français', letters: 'abcdefghijklmnopqrstuvwxyz', accented: 'àâæçéèêëîïôœùûüÿ' },
+    de: { name: 'Deutsch', letters: 'abcdefghijklmnopqrstuvwxyzäöüß', accented: '' },
+    sv: { name: 'Svenska', letters: 'abcdefghijklmnopqrstuvwxyzåäö', accented: 'é' },
+    da: { name: 'Dansk', letters: 'abcdefghijklmnopqrstuvwxyzæøå', accented: 'é' },
+    nb: { name: 'Norsk bokmål', letters: 'abcdefghijklmnopqrstuvwxyzæøå', accented: 'éèêóòô' }
+};
+const DEFAULT_LANGUAGE = 'en';
+// Letters that don't decompose into a base letter and an accent, spelled out when folding
+const FOLDED_LETTERS = { æ: 'ae', œ: 'oe', ß: 'ss', ø: 'o' };
+
+/**
+ * Creates the alphabet for a language.
+ * @param {string} [language] A key of LANGUAGES.
+ * @param {boolean} [foldAccents] Fold accented letters into plain ones instead of keeping them.
+ * @returns {{language: string, foldAccents: boolean, letters: string, letterSet: Set<string>}}
+ * @throws {Error} If the language is unknown.
+ */
+function createAlphabet(language = DEFAULT_LANGUAGE, foldAccents = false) {
+    if (!(language in LANGUAGES)) throw new Error(`Unknown language "${language}".`);
+    const { letters, accented } = LANGUAGES[language];
+    const allowed = foldAccents ? letters : letters + accented;
+    return { language, foldAccents, letters: allowed, letterSet: new Set(allowed) };
+}
+
+/**
+ * Normalizes text for an alphabet: NFC, lowercase and, when folding, accents removed from
+ * letters the language doesn't have. Characters outside the alphabet are left in place;
+ * see isAlphabetWord().
+ * @param {string} text
+ * @param {object} alphabet From createAlphabet().
+ * @returns {string}
+ */
+function normalizeText(text, alphabet) {
+    const lower = text.normalize('NFC').toLocaleLowerCase(alphabet.language);
+    if (!alphabet.foldAccents) return lower;
+    return Array.from(lower, char => {
+        if (alphabet.letterSet.has(char)) return char;
+        if (char in FOLDED_LETTERS) return FOLDED_LETTERS[char];
+        return char.normalize('NFD').replace(/\p{M}/gu, '');
+    }).join('');
+}
+
+/**
+ * Checks that normalized text is made only of the alphabet's letters.
+ * @param {string} word Normalized with normalizeText().
+ * @param {object} alphabet From createAlphabet().
+ * @returns {boolean}
+ */
+function isAlphabetWord(word, alphabet) {
+    return word.length > 0 && Array.from(word).every(char => alphabet.letterSet.has(char));
+}
+
+/**
+ * Uppercases letters for display, leaving any letter whose uppercase form is longer
+ * (ß would become SS) as it is, so a tile keeps its letters.
+ * @param {string} text
+ * @returns {string}
+ */
+function toDisplayCase(text) {
+    return Array.from(text, char => {
+        const upper = char.toUpperCase();
+        return upper.length === char.length ? upper : char;
+    }).join('');
+}
+
+// Node (build-index.js, solve.js) uses this as a CommonJS module; the worker and the page get the globals.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LANGUAGES,
+        DEFAULT_LANGUAGE,
+        createAlphabet,
+        normalizeText,
+        isAlphabetWord,
+        toDisplayCase
+    };
+}
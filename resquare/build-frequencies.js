@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Builds the bundled word-frequency list (frequencies.txt) for the words in words.txt.
+// The counts come from SUBTLEX-US (subtitles of US films and TV series, ~51 million
+// words), as packaged on npm by subtlex-word-frequencies (ISC license):
+//
+//   npm pack subtlex-word-frequencies && tar xzf subtlex-word-frequencies-*.tgz
+//   node resquare/build-frequencies.js package/index.json [words=words.txt] [output=frequencies.txt]
+//
+// Each line holds a word and its Zipf frequency: log10(occurrences per billion words),
+// so 3 is about once per million words and 6 is very common. Words that don't occur in
+// the corpus are left out; the solver treats them as obscure.
+
+const fs = require('fs');
+const path = require('path');
+const { parseWordList } = require('./dawg.js');
+
+const CORPUS_WORDS = 51e6; // Size of the SUBTLEX-US corpus
+
+if (process.argv.length < 3) {
+    console.error('Usage: node build-frequencies.js <subtlex index.json> [words.txt] [frequencies.txt]');
+    process.exit(1);
+}
+const source = path.resolve(process.argv[2]);
+const input = path.resolve(__dirname, process.argv[3] || 'words.txt');
+const output = path.resolve(__dirname, process.argv[4] || 'frequencies.txt');
+
+const dictionary = new Set(parseWordList(fs.readFileSync(input, 'utf8')).words);
+const counts = new Map(); // Key: lowercase word, Value: occurrences in any capitalization
+JSON.parse(fs.readFileSync(source, 'utf8')).forEach(({ word, count }) => {
+    const lower = word.toLowerCase();
+    if (dictionary.has(lower)) counts.set(lower, (counts.get(lower) || 0) + count);
+});
+
+const lines = Array.from(counts.entries())
+    .map(([word, count]) => [word, Math.log10(count * 1e9 / CORPUS_WORDS)])
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([word, zipf]) => `${word} ${zipf.toFixed(2)}`);
+
+const header = [
+    `# Zipf word frequencies for ${path.basename(input)}, from SUBTLEX-US via subtlex-word-frequencies (ISC).`,
+    '# Generated by build-frequencies.js; one "word zipf" pair per line, most common first.'
+];
+fs.writeFileSync(output, [...header, ...lines].join('\n') + '\n');
+console.log(`Wrote ${path.basename(output)}: ${lines.length} of ${dictionary.size} words have a frequency.`);
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Builds the precompiled dictionary index (words.dawg) from words.txt.
+// Run from anywhere after editing words.txt:
+//
+//   node resquare/build-index.js [--language CODE] [--fold-accents] [input=words.txt] [output=words.dawg]
+//
+// --language picks the alphabet the words are normalized into (see LANGUAGES in
+// alphabet.js, default en) and --fold-accents folds accented letters into plain ones;
+// both are recorded in the index, and the page only uses an index built the way its
+// settings ask for. The index also records a SHA-256 hash of the source list, which the
+// solver worker uses as the IndexedDB cache key when it has to build an index itself.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseWordList, buildDawg, decodeDawg, dawgWords } = require('./dawg.js');
+const { LANGUAGES, DEFAULT_LANGUAGE, createAlphabet } = require('./alphabet.js');
+
+const args = process.argv.slice(2);
+let language = DEFAULT_LANGUAGE;
+let foldAccents = false;
+const files = [];
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--language') {
+        language = args[++i];
+        if (!(language in LANGUAGES)) {
+            console.error(`--language must be one of ${Object.keys(LANGUAGES).join(', ')}.`);
+            process.exit(1);
+        }
+    } else if (args[i] === '--fold-accents') {
+        foldAccents = true;
+    } else {
+        files.push(args[i]);
+    }
+}
+const input = path.resolve(__dirname, files[0] || 'words.txt');
+const output = path.resolve(__dirname, files[1] || 'words.dawg');
+
+const text = fs.readFileSync(input, 'utf8');
+const sourceHash = crypto.createHash('sha256').update(text).digest('hex');
+const { words, properNouns } = parseWordList(text, createAlphabet(language, foldAccents));
+
+console.log(`Building ${LANGUAGES[language].name} index from ${path.basename(input)} (${words.length} words)...`);
+const buffer = buildDawg(words, properNouns, { sourceHash, language, foldAccents });
+
+// Round-trip check: the index must hold exactly the unique input words
+const stored = dawgWords(decodeDawg(buffer));
+const expected = Array.from(new Set(words)).sort();
+if (stored.length !== expected.length || stored.some((word, i) => word !== expected[i])) {
+    console.error('Index verification failed: stored words do not match the input.');
+    process.exit(1);
+}
+
+fs.writeFileSync(output, Buffer.from(buffer));
+console.log(`Wrote ${path.basename(output)}: ${stored.length} words (${properNouns.size} proper nouns), ${buffer.byteLength} bytes (source ${text.length} bytes).`);
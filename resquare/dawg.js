@@ -0,0 +1,270 @@
+// Compact dictionary index: a DAWG (a trie with identical suffixes merged) packed into
+// a Uint32Array. Shared by the solver worker (via importScripts, after alphabet.js) and
+// build-index.js (Node).
+//
+// File layout:
+//   uint32 LE   header length in bytes (N)
+//   N bytes     UTF-8 JSON header, space-padded so the edges start on a 4-byte boundary
+//   uint32[]    edges (little-endian)
+//
+// Each node is stored as a contiguous list of outgoing edges, sorted by letter. An edge is:
+//   bits 0-20   index of the first edge of the target node's list (0 = target has no children)
+//   bit 21      the word ending here only appears capitalized in the source (a proper noun)
+//   bit 22      the target node ends a word
+//   bit 23      this is the last edge in its list
+//   bits 24-31  letter, as an index into header.alphabet
+// Edge 0 is a placeholder so that index 0 can mean "no children".
+// The header records the language and accent folding the words were normalized with
+// (see alphabet.js); indexes without them are English with accents kept.
+
+// In Node, take the alphabet helpers from the CommonJS module; the worker already has them as globals.
+if (typeof module !== 'undefined' && module.exports && typeof createAlphabet === 'undefined') {
+    Object.assign(globalThis, require('./alphabet.js'));
+}
+
+const DAWG_FORMAT_VERSION = 2;
+const DAWG_TARGET_MASK = 0x1fffff;
+const DAWG_PROPER_NOUN = 1 << 21;
+const DAWG_END_OF_WORD = 1 << 22;
+const DAWG_END_OF_LIST = 1 << 23;
+const DAWG_LETTER_SHIFT = 24;
+
+/**
+ * Splits a plain word list (one word per line) into words normalized for an alphabet.
+ * Blank lines and words with letters outside the alphabet are dropped. Words that only
+ * ever appear capitalized ("Aaron" but never "aaron") are reported as proper nouns.
+ * @param {string} text
+ * @param {object} [alphabet] From createAlphabet(); English with accents kept by default.
+ * @returns {{words: string[], properNouns: Set<string>}}
+ */
+function parseWordList(text, alphabet = createAlphabet()) {
+    const words = [];
+    const capitalized = new Set();
+    const lowercase = new Set();
+    text.split(/\r?\n/).forEach(line => { // Split by lines, handling different line endings
+        const trimmed = line.trim();
+        const cleanedWord = normalizeText(trimmed, alphabet);
+        if (isAlphabetWord(cleanedWord, alphabet)) {
+            words.push(cleanedWord);
+            (trimmed === trimmed.toLocaleLowerCase(alphabet.language) ? lowercase : capitalized).add(cleanedWord);
+        }
+    });
+    const properNouns = new Set(Array.from(capitalized).filter(word => !lowercase.has(word)));
+    return { words, properNouns };
+}
+
+/**
+ * Builds a DAWG from a word list and packs it into the binary format described above.
+ * @param {string[]} words Cleaned words (duplicates are fine).
+ * @param {Set<string>} [properNouns] Words to flag as proper nouns.
+ * @param {object} [extraHeader] Additional header fields, e.g. the source hash.
+ * @returns {ArrayBuffer}
+ */
+function buildDawg(words, properNouns = new Set(), extraHeader = {}) {
+    const sortedWords = Array.from(new Set(words)).sort();
+
+    // 1. Plain trie
+    const root = { children: new Map(), terminal: false, proper: false, edges: null };
+    const lengthCounts = [];
+    const properLengthCounts = [];
+    const letters = new Set();
+    sortedWords.forEach(word => {
+        let node = root;
+        for (const letter of word) {
+            letters.add(letter);
+            if (!node.children.has(letter)) {
+                node.children.set(letter, { children: new Map(), terminal: false, proper: false, edges: null });
+            }
+            node = node.children.get(letter);
+        }
+        node.terminal = true;
+        lengthCounts[word.length] = (lengthCounts[word.length] || 0) + 1;
+        if (properNouns.has(word)) {
+            node.proper = true;
+            properLengthCounts[word.length] = (properLengthCounts[word.length] || 0) + 1;
+        }
+    });
+
+    const alphabet = Array.from(letters).sort().join('');
+    if (alphabet.length > 256) {
+        throw new Error(`Alphabet has ${alphabet.length} letters; the index format supports at most 256.`);
+    }
+    const letterIndex = new Map(Array.from(alphabet).map((letter, i) => [letter, i]));
+
+    // 2. Merge identical subtrees bottom-up. The end-of-word flags live on the incoming
+    //    edge, so a node is identified by its outgoing edges alone.
+    const registry = new Map(); // signature -> canonical node
+    const canonicalIds = new Map(); // canonical node -> id
+    const minimize = (node) => {
+        node.edges = Array.from(node.children.keys()).sort().map(letter => {
+            const child = node.children.get(letter);
+            return { letter, target: minimize(child), terminal: child.terminal, proper: child.proper };
+        });
+        node.children = null; // Free the trie as we go
+        const signature = node.edges
+            .map(({ letter, target, terminal, proper }) => `${letter}${terminal ? '!' : ''}${proper ? '^' : ''}${canonicalIds.get(target)}`)
+            .join(',');
+        if (!registry.has(signature)) {
+            registry.set(signature, node);
+            canonicalIds.set(node, canonicalIds.size);
+        }
+        return registry.get(signature);
+    };
+    minimize(root);
+
+    // 3. Lay out edge lists. Children are written before parents so targets are known.
+    const edges = [0]; // Placeholder edge, see format notes
+    const listStart = new Map(); // canonical node -> index of its first edge
+    const layout = (node) => {
+        if (listStart.has(node)) return listStart.get(node);
+        if (node.edges.length === 0) {
+            listStart.set(node, 0);
+            return 0;
+        }
+        const targets = node.edges.map(({ target }) => layout(target));
+        const start = edges.length;
+        node.edges.forEach(({ letter, terminal, proper }, i) => {
+            let edge = targets[i] | (letterIndex.get(letter) << DAWG_LETTER_SHIFT);
+            if (terminal) edge |= DAWG_END_OF_WORD;
+            if (proper) edge |= DAWG_PROPER_NOUN;
+            if (i === node.edges.length - 1) edge |= DAWG_END_OF_LIST;
+            edges.push(edge >>> 0);
+        });
+        if (edges.length > DAWG_TARGET_MASK) {
+            throw new Error('Dictionary is too large for the index format.');
+        }
+        listStart.set(node, start);
+        return start;
+    };
+    const rootIndex = layout(root);
+
+    // 4. Serialize
+    const header = {
+        version: DAWG_FORMAT_VERSION,
+        alphabet,
+        rootIndex,
+        edgeCount: edges.length,
+        wordCount: sortedWords.length,
+        lengthCounts: Array.from(lengthCounts, count => count || 0),
+        properLengthCounts: Array.from(properLengthCounts, count => count || 0),
+        ...extraHeader
+    };
+    const headerJson = JSON.stringify(header);
+    const padding = (4 - ((4 + new TextEncoder().encode(headerJson).length) % 4)) % 4;
+    const headerBytes = new TextEncoder().encode(headerJson + ' '.repeat(padding));
+
+    const buffer = new ArrayBuffer(4 + headerBytes.length + edges.length * 4);
+    const view = new DataView(buffer);
+    view.setUint32(0, headerBytes.length, true);
+    new Uint8Array(buffer, 4, headerBytes.length).set(headerBytes);
+    const edgeOffset = 4 + headerBytes.length;
+    edges.forEach((edge, i) => view.setUint32(edgeOffset + i * 4, edge, true));
+    return buffer;
+}
+
+/**
+ * Reads a packed DAWG.
+ * @param {ArrayBuffer} buffer
+ * @returns {{header: object, edges: Uint32Array, letterIndex: Map<string, number>}}
+ */
+function decodeDawg(buffer) {
+    const view = new DataView(buffer);
+    const headerLength = view.getUint32(0, true);
+    const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 4, headerLength)));
+    if (header.version !== DAWG_FORMAT_VERSION) {
+        throw new Error(`Unsupported index version ${header.version} (expected ${DAWG_FORMAT_VERSION}).`);
+    }
+    const edgeOffset = 4 + headerLength;
+    const edges = new Uint32Array(header.edgeCount);
+    for (let i = 0; i < header.edgeCount; i++) {
+        edges[i] = view.getUint32(edgeOffset + i * 4, true);
+    }
+    const letterIndex = new Map(Array.from(header.alphabet).map((letter, i) => [letter, i]));
+    return { header, edges, letterIndex };
+}
+
+/**
+ * Checks that an index was built for an alphabet, so its words are normalized the same way.
+ * @param {{header: object}} dawg A decoded DAWG.
+ * @param {object} alphabet From createAlphabet().
+ * @returns {boolean}
+ */
+function dawgMatchesAlphabet(dawg, alphabet) {
+    const { language = DEFAULT_LANGUAGE, foldAccents = false } = dawg.header;
+    return language === alphabet.language && foldAccents === alphabet.foldAccents;
+}
+
+/**
+ * Finds the edge for a letter in a node's edge list.
+ * @param {Uint32Array} edges
+ * @param {number} listIndex Index of the node's first edge (0 = no children).
+ * @param {number} letter Letter index into the alphabet.
+ * @returns {number} The edge index, or -1 if the node has no such child.
+ */
+function dawgFindEdge(edges, listIndex, letter) {
+    if (listIndex === 0) return -1;
+    for (let i = listIndex; ; i++) {
+        const edge = edges[i];
+        if (edge >>> DAWG_LETTER_SHIFT === letter) return i;
+        if (edge & DAWG_END_OF_LIST) return -1;
+    }
+}
+
+/**
+ * Looks up a whole word.
+ * @param {{header: object, edges: Uint32Array, letterIndex: Map<string, number>}} dawg A decoded DAWG.
+ * @param {string} word
+ * @returns {number} The word's final edge (test it against DAWG_PROPER_NOUN), or -1 if the word is not stored.
+ */
+function dawgLookup(dawg, word) {
+    let listIndex = dawg.header.rootIndex;
+    let edgeIndex = -1;
+    for (const letter of word) {
+        const letterIndex = dawg.letterIndex.get(letter);
+        edgeIndex = letterIndex === undefined ? -1 : dawgFindEdge(dawg.edges, listIndex, letterIndex);
+        if (edgeIndex === -1) return -1;
+        listIndex = dawg.edges[edgeIndex] & DAWG_TARGET_MASK;
+    }
+    return edgeIndex !== -1 && (dawg.edges[edgeIndex] & DAWG_END_OF_WORD) ? dawg.edges[edgeIndex] : -1;
+}
+
+/**
+ * Lists every word stored in a packed DAWG, in alphabetical order.
+ * @param {{header: object, edges: Uint32Array}} dawg A decoded DAWG.
+ * @returns {string[]}
+ */
+function dawgWords(dawg) {
+    const { header, edges } = dawg;
+    const words = [];
+    const walk = (listIndex, prefix) => {
+        if (listIndex === 0) return;
+        for (let i = listIndex; ; i++) {
+            const edge = edges[i];
+            const word = prefix + header.alphabet[edge >>> DAWG_LETTER_SHIFT];
+            if (edge & DAWG_END_OF_WORD) words.push(word);
+            walk(edge & DAWG_TARGET_MASK, word);
+            if (edge & DAWG_END_OF_LIST) break;
+        }
+    };
+    walk(header.rootIndex, '');
+    return words;
+}
+
+// Node (build-index.js) uses this as a CommonJS module; the worker gets the globals via importScripts.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DAWG_FORMAT_VERSION,
+        DAWG_TARGET_MASK,
+        DAWG_PROPER_NOUN,
+        DAWG_END_OF_WORD,
+        DAWG_END_OF_LIST,
+        DAWG_LETTER_SHIFT,
+        parseWordList,
+        buildDawg,
+        decodeDawg,
+        dawgMatchesAlphabet,
+        dawgFindEdge,
+        dawgLookup,
+        dawgWords
+    };
+}
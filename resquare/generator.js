@@ -0,0 +1,288 @@
+// Puzzle generator: lays a long "keystone" word through the grid along the board
+// topology's adjacency (see buildAdjacency() in solver.js), fills the other tiles with common letters, then changes those
+// tiles one at a time until the grid has the target number of words and every tile is
+// used by at least one of them. Everything is driven by a seeded random number
+// generator, so the same seed and options always give the same board.
+// Runs in the solver worker (via importScripts, after dawg.js, solver.js and wordscore.js) and in Node.
+// Filler letters follow English letter frequencies when the dictionary only uses English
+// letters, and the dictionary's own letter counts otherwise (see alphabet.js).
+
+// In Node, take the helpers from the CommonJS modules; the worker already has them as globals.
+if (typeof module !== 'undefined' && module.exports && typeof solveGrid === 'undefined') {
+    Object.assign(globalThis, require('./dawg.js'), require('./solver.js'), require('./wordscore.js'));
+}
+
+// --- Configuration ---
+const GENERATOR_RESTARTS = 8; // Fresh keystones tried before settling for the best grid so far
+const GENERATOR_MUTATIONS = 120; // Tile changes tried per keystone
+const DIFFICULTY_LABELS = ['Easy', 'Moderate', 'Tricky', 'Hard', 'Fiendish'];
+
+// --- Global Variables ---
+const keystoneCache = new WeakMap(); // Key: decoded DAWG, Value: Map<length, string[]>
+const letterWeightCache = new WeakMap(); // Key: decoded DAWG, Value: [letter, weight][]
+
+// --- Seeded Randomness ---
+/**
+ * Creates a seeded random number generator (mulberry32 over an FNV-1a hash of the seed).
+ * @param {string} seed
+ * @returns {function(): number} Returns floats in [0, 1).
+ */
+function createRandom(seed) {
+    let state = 0x811c9dc5;
+    for (const char of String(seed)) {
+        state = Math.imul(state ^ char.charCodeAt(0), 0x01000193);
+    }
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Works out how often to pick each letter for a dictionary: English text frequencies if
+ * they cover its alphabet, otherwise how often each letter occurs in its words.
+ * @param {object} dawg Decoded DAWG.
+ * @returns {[string, number][]}
+ */
+function letterWeights(dawg) {
+    if (!letterWeightCache.has(dawg)) {
+        const alphabet = Array.from(dawg.header.alphabet);
+        let weights;
+        if (alphabet.every(letter => letter in LETTER_FREQUENCIES)) {
+            weights = Object.entries(LETTER_FREQUENCIES);
+        } else {
+            const counts = new Map(alphabet.map(letter => [letter, 0]));
+            dawgWords(dawg).forEach(word => {
+                for (const letter of word) counts.set(letter, counts.get(letter) + 1);
+            });
+            weights = Array.from(counts.entries());
+        }
+        letterWeightCache.set(dawg, weights);
+    }
+    return letterWeightCache.get(dawg);
+}
+
+/**
+ * Picks a letter with probability proportional to its weight.
+ * @param {function(): number} random
+ * @param {[string, number][]} weights From letterWeights().
+ * @returns {string}
+ */
+function randomLetter(random, weights) {
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    let pick = random() * total;
+    for (const [letter, weight] of weights) {
+        pick -= weight;
+        if (pick < 0) return letter;
+    }
+    return weights[weights.length - 1][0];
+}
+
+/**
+ * Shuffles an array in place (Fisher-Yates).
+ * @param {Array} items
+ * @param {function(): number} random
+ * @returns {Array} The same array.
+ */
+function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+// --- Keystone Placement ---
+/**
+ * Lists the dictionary words of a given length that make good keystones (no proper nouns).
+ * @param {object} dawg Decoded DAWG.
+ * @param {number} length
+ * @returns {string[]}
+ */
+function keystoneCandidates(dawg, length) {
+    if (!keystoneCache.has(dawg)) keystoneCache.set(dawg, new Map());
+    const byLength = keystoneCache.get(dawg);
+    if (!byLength.has(length)) {
+        const words = dawgWords(dawg).filter(word => word.length === length && !(dawgLookup(dawg, word) & DAWG_PROPER_NOUN));
+        byLength.set(length, words);
+    }
+    return byLength.get(length);
+}
+
+/**
+ * Finds a random path of the given length that visits each cell at most once.
+ * @param {number} length
+ * @param {number[][][]} adjacency Neighbours per cell, from buildAdjacency().
+ * @param {number} rows
+ * @param {number} cols
+ * @param {function(): number} random
+ * @returns {number[][] | null} [row, col] cells, or null if no path that long fits.
+ */
+function randomPath(length, adjacency, rows, cols, random) {
+    const visited = new Uint8Array(rows * cols);
+    const path = [];
+    const extend = (row, col) => {
+        visited[row * cols + col] = 1;
+        path.push([row, col]);
+        if (path.length === length) return true;
+        const moves = shuffle(adjacency[row * cols + col].slice(), random).filter(([r, c]) => !visited[r * cols + c]);
+        for (const [r, c] of moves) {
+            if (extend(r, c)) return true;
+        }
+        visited[row * cols + col] = 0;
+        path.pop();
+        return false;
+    };
+    const starts = shuffle(Array.from({ length: rows * cols }, (_, i) => [Math.floor(i / cols), i % cols]), random);
+    return starts.some(([r, c]) => extend(r, c)) ? path : null;
+}
+
+// --- Evaluation ---
+/**
+ * Solves a candidate grid and measures it against the targets, yielding at the solver's
+ * checkpoints (see solveGridSteps() in solver.js).
+ * @param {string[][]} grid
+ * @param {object} state Dictionary state, see createDictionaryState() in solver.js.
+ * @param {object} options Generator options, see generatePuzzle().
+ * @returns {Generator<null, {words: object[], uncovered: number, penalty: number}>} A penalty of 0 meets every target.
+ */
+function* evaluateGrid(grid, state, options) {
+    const { minWordLength, maxWordLength, topology, minWords, maxWords } = options;
+    const words = yield* solveGridSteps(grid, state, { minWordLength, maxWordLength, topology });
+    const covered = new Set();
+    words.forEach(({ paths }) => paths.forEach(path => path.forEach(([r, c]) => covered.add(`${r},${c}`))));
+    const cellCount = grid.length * grid[0].length;
+    const uncovered = cellCount - covered.size;
+
+    let rangeMiss = 0;
+    if (words.length < minWords) rangeMiss = (minWords - words.length) / minWords;
+    if (words.length > maxWords) rangeMiss = (words.length - maxWords) / maxWords;
+    return { words, uncovered, penalty: rangeMiss + uncovered / cellCount };
+}
+
+/**
+ * Rates how hard a board is from its words: a higher share of obscure words (below
+ * DEFAULT_LIKELY_THRESHOLD, see wordscore.js) and of long words make it harder.
+ * @param {{word: string}[]} words
+ * @param {number} minWordLength
+ * @returns {{rating: number, maxRating: number, label: string, commonness: number, obscureShare: number, longWordShare: number}}
+ *   rating runs from 1 (easy) to maxRating; commonness is the average Zipf score.
+ */
+function rateDifficulty(words, minWordLength) {
+    const maxRating = DIFFICULTY_LABELS.length;
+    if (words.length === 0) {
+        return { rating: maxRating, maxRating, label: DIFFICULTY_LABELS[maxRating - 1], commonness: 0, obscureShare: 1, longWordShare: 0 };
+    }
+    const clamp = value => Math.min(1, Math.max(0, value));
+    const scores = words.map(({ word }) => commonnessScore(word));
+    const commonness = scores.reduce((sum, score) => sum + score, 0) / words.length;
+    const obscureShare = scores.filter(score => score < DEFAULT_LIKELY_THRESHOLD).length / words.length;
+    const longWordShare = words.filter(({ word }) => word.length >= minWordLength + 2).length / words.length;
+    // Generated 4x4 boards have 55-80% obscure words and 25-50% long words
+    const rarity = clamp((obscureShare - 0.5) / 0.35);
+    const length = clamp((longWordShare - 0.2) / 0.35);
+    const rating = 1 + Math.round((maxRating - 1) * (rarity + length) / 2);
+    return { rating, maxRating, label: DIFFICULTY_LABELS[rating - 1], commonness, obscureShare, longWordShare };
+}
+
+// --- Generator ---
+/**
+ * Generates a board, yielding `null` at every checkpoint of the searches it runs so the
+ * worker can generate in time slices and stop when cancelled. When no grid meets every
+ * target within the attempt budget, the closest one is returned with `meetsTargets` false.
+ * @param {object} state Dictionary state to build words from; the first dictionary with words supplies the keystone.
+ * @param {{seed: string, rows: number, cols: number, topology: string, minWordLength: number, maxWordLength: number,
+ *   minWords: number, maxWords: number, keystoneLength: number}} options
+ * @returns {Generator<null, {grid: string[][], seed: string, wordCount: number, keystone: string, keystonePath: number[][],
+ *   uncovered: number, meetsTargets: boolean, difficulty: object, attempts: number}>}
+ * @throws {Error} If the options can't produce a board.
+ */
+function* generatePuzzleSteps(state, options) {
+    const { seed, rows, cols, topology = DEFAULT_TOPOLOGY, minWordLength, maxWordLength, keystoneLength } = options;
+    if (keystoneLength < minWordLength || keystoneLength > maxWordLength) {
+        throw new Error(`The keystone word must be ${minWordLength}-${maxWordLength} letters long to count as a word.`);
+    }
+    if (keystoneLength > rows * cols) {
+        throw new Error(`A ${keystoneLength}-letter keystone does not fit in a ${rows}x${cols} grid.`);
+    }
+    // The base dictionary is empty for languages without a bundled list; use the first list with words
+    const { dawg } = state.dictionaries.find(dictionary => dictionary.dawg.header.wordCount > 0) || state.dictionaries[0];
+    const candidates = keystoneCandidates(dawg, keystoneLength);
+    if (candidates.length === 0) throw new Error(`The dictionary has no ${keystoneLength}-letter words to use as a keystone.`);
+
+    const adjacency = buildAdjacency(topology, rows, cols);
+    const weights = letterWeights(dawg);
+    const random = createRandom(seed);
+    let best = null;
+    let attempts = 0;
+
+    for (let restart = 0; restart < GENERATOR_RESTARTS && !(best && best.penalty === 0); restart++) {
+        const keystone = candidates[Math.floor(random() * candidates.length)];
+        const keystonePath = randomPath(keystoneLength, adjacency, rows, cols, random);
+        if (!keystonePath) throw new Error(`No ${keystoneLength}-tile path fits a ${rows}x${cols} ${topology} grid.`);
+        const grid = Array.from({ length: rows }, () => Array.from({ length: cols }, () => randomLetter(random, weights)));
+        keystonePath.forEach(([r, c], i) => { grid[r][c] = keystone[i]; });
+        const keystoneCells = new Set(keystonePath.map(([r, c]) => `${r},${c}`));
+        const freeCells = [];
+        grid.forEach((row, r) => row.forEach((_, c) => {
+            if (!keystoneCells.has(`${r},${c}`)) freeCells.push([r, c]);
+        }));
+
+        let current = yield* evaluateGrid(grid, state, options);
+        attempts++;
+        // Hill climbing: keep a tile change unless it moves the grid further from the targets
+        for (let step = 0; step < GENERATOR_MUTATIONS && current.penalty > 0 && freeCells.length > 0; step++) {
+            const [r, c] = freeCells[Math.floor(random() * freeCells.length)];
+            const previous = grid[r][c];
+            grid[r][c] = randomLetter(random, weights);
+            const next = yield* evaluateGrid(grid, state, options);
+            attempts++;
+            if (next.penalty <= current.penalty) {
+                current = next;
+            } else {
+                grid[r][c] = previous;
+            }
+        }
+
+        if (!best || current.penalty < best.penalty) {
+            best = { ...current, grid: grid.map(row => row.slice()), keystone, keystonePath };
+        }
+    }
+
+    return {
+        grid: best.grid,
+        seed,
+        wordCount: best.words.length,
+        keystone: best.keystone,
+        keystonePath: best.keystonePath,
+        uncovered: best.uncovered,
+        meetsTargets: best.penalty === 0,
+        difficulty: rateDifficulty(best.words, minWordLength),
+        attempts
+    };
+}
+
+/**
+ * Generates a board in one go, see generatePuzzleSteps().
+ * @param {object} state
+ * @param {object} options
+ * @returns {object} The puzzle.
+ */
+function generatePuzzle(state, options) {
+    return runSteps(generatePuzzleSteps(state, options));
+}
+
+// Node uses this as a CommonJS module; the worker gets the globals via importScripts.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DIFFICULTY_LABELS,
+        createRandom,
+        keystoneCandidates,
+        randomPath,
+        rateDifficulty,
+        generatePuzzleSteps,
+        generatePuzzle
+    };
+}
@@ -0,0 +1,251 @@
+// Hint mode: keeps the solved words hidden and reveals them a little at a time.
+// Words the player has found and the hints they used are saved per grid in localStorage.
+// Loaded before script.js, which hands over the results of each search.
+
+// --- Configuration ---
+const HINT_STORAGE_PREFIX = 'resquare.hints.';
+const HINT_LEVELS = ['letter', 'start', 'word']; // Increasing amounts given away
+
+// --- Global Variables ---
+// { key, grid, words: Map<word, paths>, progress: { found: string[], revealed: { [word]: level } } }
+let hintState = null;
+
+// --- DOM Elements ---
+const hintsDiv = document.getElementById('hints');
+const hintSummaryDiv = document.getElementById('hintSummary');
+const hintMessage = document.getElementById('hintMessage');
+const hintModeToggle = document.getElementById('hintModeToggle');
+const foundWordForm = document.getElementById('foundWordForm');
+const foundWordInput = document.getElementById('foundWordInput');
+
+// --- Progress Storage ---
+/**
+ * Builds the storage key for a grid and the settings that affect its word set.
+ * @param {string[][]} grid
+ * @returns {string}
+ */
+function getHintKey(grid) {
+    const tiles = grid.map(row => row.join(',')).join('/');
+    return `${HINT_STORAGE_PREFIX}${tiles}:${settings.minWordLength}-${settings.maxWordLength}:${settings.topology}`;
+}
+
+/**
+ * Reads the saved progress for a grid.
+ * @param {string} key
+ * @returns {{found: string[], revealed: Object<string, string>}}
+ */
+function loadHintProgress(key) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(key));
+        if (saved && Array.isArray(saved.found) && saved.revealed) return saved;
+    } catch (error) {
+        console.warn('Could not read hint progress, starting fresh:', error);
+    }
+    return { found: [], revealed: {} };
+}
+
+/**
+ * Persists the progress for the current grid.
+ */
+function saveHintProgress() {
+    try {
+        localStorage.setItem(hintState.key, JSON.stringify(hintState.progress));
+    } catch (error) {
+        console.error('Could not save hint progress:', error);
+    }
+}
+
+// --- Hint Mode ---
+/**
+ * @returns {boolean} Whether hint mode is on.
+ */
+function isHintMode() {
+    return hintModeToggle.checked;
+}
+
+/**
+ * Sets up hints for a finished search, restoring any saved progress for the grid.
+ * @param {Map<string, {word: string, paths: number[][][]}[]>} allFoundWords Results keyed by "row,col" start cell.
+ * @param {string[][]} grid
+ */
+function startHints(allFoundWords, grid) {
+    const words = new Map(); // Key: word, Value: every path for it
+    collectWords(allFoundWords).forEach(({ word, paths }) => words.set(word, paths));
+    const key = getHintKey(grid);
+    hintState = { key, grid, words, progress: loadHintProgress(key) };
+    hintMessage.textContent = '';
+    renderHints();
+}
+
+/**
+ * Forgets the current hints, e.g. when the results are cleared.
+ */
+function clearHints() {
+    hintState = null;
+    hintSummaryDiv.innerHTML = '';
+    hintMessage.textContent = '';
+}
+
+/**
+ * Hides a word, showing only what has been revealed of it.
+ * @param {string} word
+ * @param {string | undefined} level
+ * @returns {string}
+ */
+function maskWord(word, level) {
+    if (level === 'word') return word;
+    const hidden = '•'.repeat(word.length - 1);
+    return level === 'letter' || level === 'start' ? word[0] + hidden : '•' + hidden;
+}
+
+/**
+ * Orders words by a hash of the word, so the list doesn't give away alphabetical order
+ * but stays the same between visits.
+ * @param {string} word
+ * @returns {number}
+ */
+function hintOrder(word) {
+    let hash = 0;
+    for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    return hash;
+}
+
+/**
+ * Renders the Squares-style breakdown (remaining words by starting letter and length)
+ * and the masked list of words still to find.
+ */
+function renderHints() {
+    if (!hintState) return;
+    const { words, progress } = hintState;
+    const found = new Set(progress.found);
+    const allWords = Array.from(words.keys());
+    const remaining = allWords.filter(word => !found.has(word));
+
+    if (allWords.length === 0) {
+        hintSummaryDiv.textContent = 'No words found.';
+        return;
+    }
+
+    const lengths = Array.from(new Set(allWords.map(word => word.length))).sort((a, b) => a - b);
+    const letters = Array.from(new Set(allWords.map(word => word[0]))).sort();
+    const count = (letter, length) => remaining.filter(word =>
+        (letter === null || word[0] === letter) && (length === null || word.length === length)).length;
+
+    let html = `<p>Found ${found.size} of ${allWords.length} words. Hints used: ${Object.keys(progress.revealed).length}.</p>`;
+    if (remaining.length === 0) {
+        html += '<p class="success">Every word found!</p>';
+    }
+
+    // Breakdown table: remaining words per starting letter and length
+    html += '<table class="hint-breakdown"><tr><th></th>';
+    lengths.forEach(length => { html += `<th>${length}</th>`; });
+    html += '<th>Σ</th></tr>';
+    letters.forEach(letter => {
+        html += `<tr><th>${letter.toUpperCase()}</th>`;
+        lengths.forEach(length => { html += `<td>${count(letter, length) || ''}</td>`; });
+        html += `<td>${count(letter, null)}</td></tr>`;
+    });
+    html += '<tr><th>Σ</th>';
+    lengths.forEach(length => { html += `<td>${count(null, length)}</td>`; });
+    html += `<td>${remaining.length}</td></tr></table>`;
+
+    // Masked words still to find, grouped by length
+    lengths.forEach(length => {
+        const group = remaining.filter(word => word.length === length).sort((a, b) => hintOrder(a) - hintOrder(b));
+        if (group.length === 0) return;
+        html += `<h3>${length} letters</h3><ul class="hint-words">`;
+        group.forEach(word => {
+            const level = progress.revealed[word];
+            const nextLevel = HINT_LEVELS[HINT_LEVELS.indexOf(level) + 1];
+            const button = nextLevel
+                ? `<button type="button" class="small secondary" data-word="${word}" data-reveal="${nextLevel}">${nextLevel === 'letter' ? 'First letter' : nextLevel === 'start' ? 'Path start' : 'Word'}</button>`
+                : '';
+            const startClass = level === 'start' ? ' hint-start' : '';
+            html += `<li><span class="hint-mask${startClass}" data-word="${word}">${maskWord(word, level)}</span>${button}</li>`;
+        });
+        html += '</ul>';
+    });
+
+    hintSummaryDiv.innerHTML = html;
+}
+
+/**
+ * Reveals the next piece of a word. Revealing the path start highlights the start cell.
+ * @param {string} word
+ * @param {string} level One of HINT_LEVELS.
+ */
+function revealHint(word, level) {
+    hintState.progress.revealed[word] = level;
+    saveHintProgress();
+    renderHints();
+    if (level === 'start') highlightHintStart(word);
+}
+
+/**
+ * Highlights the start cell of a word's first path.
+ * @param {string} word
+ */
+function highlightHintStart(word) {
+    const paths = hintState.words.get(word);
+    if (paths && paths.length > 0) highlightPath([paths[0][0]]);
+}
+
+/**
+ * Checks a word the player says they found against the solved set and ticks it off.
+ * @param {string} input
+ */
+function checkFoundWord(input) {
+    const word = normalizeText(input.trim(), alphabet);
+    if (!word) return;
+    if (!hintState) {
+        hintMessage.textContent = 'Solve the grid first.';
+        return;
+    }
+    if (hintState.progress.found.includes(word)) {
+        hintMessage.textContent = `${word.toUpperCase()} is already ticked off.`;
+    } else if (hintState.words.has(word)) {
+        hintState.progress.found.push(word);
+        saveHintProgress();
+        markWordPlayed(word);
+        hintMessage.textContent = `✓ ${word.toUpperCase()}`;
+    } else {
+        hintMessage.textContent = `${word.toUpperCase()} is not in the solved set.`;
+    }
+    renderHints();
+}
+
+/**
+ * Shows either the hint view or the full results, following the hint mode checkbox.
+ * The coverage section is hidden too in hint mode, since its cover list gives words away.
+ * During a round of play mode (see play.js) all of them stay hidden.
+ */
+function updateHintModeVisibility() {
+    const hintMode = isHintMode();
+    const playing = isRoundActive();
+    hintsDiv.hidden = !hintMode || playing;
+    resultsPanel.hidden = hintMode || playing;
+    coverageSection.hidden = hintMode || playing;
+    resetPinnedPath();
+}
+
+/**
+ * Wires up the hint mode controls.
+ */
+function initHints() {
+    hintModeToggle.addEventListener('change', updateHintModeVisibility);
+    foundWordForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        checkFoundWord(foundWordInput.value);
+        foundWordInput.value = '';
+    });
+    hintSummaryDiv.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-reveal]');
+        if (button) {
+            revealHint(button.dataset.word, button.dataset.reveal);
+            return;
+        }
+        const mask = e.target.closest('.hint-start');
+        if (mask) highlightHintStart(mask.dataset.word);
+    });
+    updateHintModeVisibility();
+}
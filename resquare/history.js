@@ -0,0 +1,262 @@
+// Solve history: every finished search is kept in localStorage with its grid, date,
+// settings, words and the words the player marked as played (ticked off in hint mode,
+// traced in a round or marked from the results), so daily puzzles can be tracked over
+// time. The history panel reloads past boards and shows stats across them.
+// Loaded before script.js, which records each finished search.
+
+// --- Configuration ---
+const HISTORY_STORAGE_KEY = 'resquare.history';
+const HISTORY_LIMIT = 100; // Oldest boards are dropped beyond this
+const HISTORY_LONGEST_COUNT = 5; // Words listed under "longest words" in the stats
+
+// --- Global Variables ---
+// Newest first: { key, date, lastSolved, grid, settings, words: { word, commonness, paths }[], played: string[] }[]
+let historyEntries = [];
+
+// --- DOM Elements ---
+const historyStatsDiv = document.getElementById('historyStats');
+const historyListDiv = document.getElementById('historyList');
+const clearHistoryButton = document.getElementById('clearHistoryButton');
+
+// --- History Storage ---
+/**
+ * Builds the key that identifies a board: its tiles and the settings that affect its word set.
+ * @param {string[][]} grid
+ * @param {object} boardSettings
+ * @returns {string}
+ */
+function getHistoryKey(grid, boardSettings) {
+    const { minWordLength, maxWordLength, topology, language, foldAccents } = boardSettings;
+    const tiles = grid.map(row => row.join(',')).join('/');
+    return `${tiles}:${minWordLength}-${maxWordLength}:${topology}:${language}${foldAccents ? ':folded' : ''}`;
+}
+
+/**
+ * Reads the saved history.
+ * @returns {object[]}
+ */
+function loadHistory() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+        if (Array.isArray(saved)) return saved.filter(entry => entry && Array.isArray(entry.grid) && Array.isArray(entry.words));
+    } catch (error) {
+        console.warn('Could not read the solve history, starting fresh:', error);
+    }
+    return [];
+}
+
+/**
+ * Persists the history. When storage is full, the oldest boards are dropped until it fits.
+ */
+function saveHistory() {
+    while (historyEntries.length > 0) {
+        try {
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(historyEntries));
+            return;
+        } catch (error) {
+            if (historyEntries.length === 1) {
+                console.error('Could not save the solve history:', error);
+                return;
+            }
+            historyEntries.pop();
+        }
+    }
+    localStorage.removeItem(HISTORY_STORAGE_KEY);
+}
+
+/**
+ * Finds the history entry for the last finished search.
+ * @returns {object | undefined}
+ */
+function getCurrentHistoryEntry() {
+    if (!lastSearchGrid) return undefined;
+    const key = getHistoryKey(lastSearchGrid, settings);
+    return historyEntries.find(entry => entry.key === key);
+}
+
+/**
+ * Records a finished search. Solving a board again updates its entry and moves it to the
+ * top, keeping the date it was first solved and the words already played.
+ * @param {Map<string, object[]>} allFoundWords Results keyed by "row,col" start cell.
+ * @param {string[][]} grid
+ */
+function recordSolve(allFoundWords, grid) {
+    const { minWordLength, maxWordLength, topology, language, foldAccents } = settings;
+    const boardSettings = { minWordLength, maxWordLength, topology, language, foldAccents };
+    const key = getHistoryKey(grid, boardSettings);
+    const previous = historyEntries.find(entry => entry.key === key);
+    const now = new Date().toISOString();
+    const words = Array.from(collectWords(allFoundWords).values())
+        .map(({ word, commonness, paths }) => ({ word, commonness, paths }))
+        .sort((a, b) => a.word.localeCompare(b.word));
+    // Words ticked off in hint mode before this search count as played too
+    const played = new Set([...(previous ? previous.played : []), ...(hintState ? hintState.progress.found : [])]);
+
+    historyEntries = historyEntries.filter(entry => entry.key !== key);
+    historyEntries.unshift({
+        key,
+        date: previous ? previous.date : now,
+        lastSolved: now,
+        grid,
+        settings: boardSettings,
+        words,
+        played: Array.from(played).sort()
+    });
+    historyEntries = historyEntries.slice(0, HISTORY_LIMIT);
+    saveHistory();
+    renderHistory();
+}
+
+/**
+ * Marks a word of the last finished search as played.
+ * @param {string} word
+ */
+function markWordPlayed(word) {
+    const entry = getCurrentHistoryEntry();
+    if (!entry || entry.played.includes(word)) return;
+    entry.played = [...entry.played, word].sort();
+    saveHistory();
+    renderHistory();
+}
+
+// --- History Panel ---
+/**
+ * Writes a grid as text, one row per space-separated group, multi-letter tiles in parentheses.
+ * @param {string[][]} grid
+ * @returns {string}
+ */
+function formatHistoryGrid(grid) {
+    return grid.map(row => row.map(tile => toDisplayCase(tile.length > 1 ? `(${tile})` : tile)).join('')).join(' ');
+}
+
+/**
+ * Lists the longest distinct words, most common first among words of the same length.
+ * @param {{word: string, commonness: number}[]} words
+ * @returns {string[]}
+ */
+function pickLongestWords(words) {
+    const unique = new Map();
+    words.forEach(entry => unique.set(entry.word, entry));
+    return Array.from(unique.values())
+        .sort((a, b) => b.word.length - a.word.length || b.commonness - a.commonness || a.word.localeCompare(b.word))
+        .slice(0, HISTORY_LONGEST_COUNT)
+        .map(({ word }) => word);
+}
+
+/**
+ * Renders the stats across every saved board: boards solved, average word count,
+ * how much of each board was played and the longest words found and played.
+ */
+function renderHistoryStats() {
+    if (historyEntries.length === 0) {
+        historyStatsDiv.innerHTML = '<p class="empty">No boards solved yet.</p>';
+        return;
+    }
+    const boardCount = historyEntries.length;
+    const wordTotal = historyEntries.reduce((sum, entry) => sum + entry.words.length, 0);
+    const playedTotal = historyEntries.reduce((sum, entry) => sum + entry.played.length, 0);
+    const allWords = historyEntries.flatMap(entry => entry.words);
+    const playedWords = historyEntries.flatMap(entry => {
+        const played = new Set(entry.played);
+        return entry.words.filter(({ word }) => played.has(word));
+    });
+    const days = new Set(historyEntries.map(entry => new Date(entry.date).toDateString())).size;
+    const percent = wordTotal > 0 ? Math.round(100 * playedTotal / wordTotal) : 0;
+    const listWords = words => (words.length > 0 ? words.map(word => toDisplayCase(word)).join(', ') : 'none yet');
+
+    let html = `<p>Boards solved: ${boardCount} on ${days} day${days === 1 ? '' : 's'}.</p>`;
+    html += `<p>Average words per board: ${(wordTotal / boardCount).toFixed(1)}.</p>`;
+    html += `<p>Words played: ${playedTotal} (${(playedTotal / boardCount).toFixed(1)} per board, ${percent}% of all words found).</p>`;
+    html += `<p>Longest words found: ${listWords(pickLongestWords(allWords))}.</p>`;
+    html += `<p>Longest words played: ${listWords(pickLongestWords(playedWords))}.</p>`;
+    historyStatsDiv.innerHTML = html;
+}
+
+/**
+ * Renders the list of saved boards, newest first, each with buttons to load or forget it.
+ */
+function renderHistoryList() {
+    if (historyEntries.length === 0) {
+        historyListDiv.innerHTML = '';
+        clearHistoryButton.disabled = true;
+        return;
+    }
+    clearHistoryButton.disabled = false;
+    let html = '<table class="history-table"><tr><th>Date</th><th>Board</th><th>Words</th><th>Played</th><th>Longest</th><th></th></tr>';
+    historyEntries.forEach(entry => {
+        const { topology, language, minWordLength, maxWordLength } = entry.settings;
+        const details = `${LANGUAGES[language] ? LANGUAGES[language].name : language} · ${topology} · ${minWordLength}-${maxWordLength} letters`;
+        const [longest] = pickLongestWords(entry.words);
+        html += `<tr><td>${new Date(entry.date).toLocaleDateString()}</td>`;
+        html += `<td><span class="history-grid" title="${details}">${formatHistoryGrid(entry.grid)}</span></td>`;
+        html += `<td>${entry.words.length}</td><td>${entry.played.length}</td><td>${longest ? toDisplayCase(longest) : ''}</td>`;
+        html += `<td><button type="button" class="small" data-history-load="${entry.key}">Load</button>`;
+        html += `<button type="button" class="small secondary" data-history-delete="${entry.key}">Delete</button></td></tr>`;
+    });
+    html += '</table>';
+    historyListDiv.innerHTML = html;
+}
+
+/**
+ * Renders the history panel.
+ */
+function renderHistory() {
+    renderHistoryStats();
+    renderHistoryList();
+}
+
+/**
+ * Loads a saved board with its settings and solves it again with the current dictionary.
+ * If the language changes, the search starts once the new dictionary is in.
+ * @param {string} key
+ */
+function loadHistoryEntry(key) {
+    const entry = historyEntries.find(candidate => candidate.key === key);
+    if (!entry) return;
+    loadBoard(entry.grid, entry.settings);
+    if (dictionaryLoaded && !isLoading) {
+        solve();
+    } else {
+        updateBoardHash(entry.grid);
+        resolveAfterProfile = true; // See handleWorkerMessage()
+        updateStatus(`Loaded the board from ${new Date(entry.date).toLocaleDateString()}. It is solved once the dictionary is ready.`, 'info');
+    }
+}
+
+/**
+ * Forgets one saved board.
+ * @param {string} key
+ */
+function deleteHistoryEntry(key) {
+    historyEntries = historyEntries.filter(entry => entry.key !== key);
+    saveHistory();
+    renderHistory();
+}
+
+/**
+ * Forgets every saved board after confirmation.
+ */
+function clearHistory() {
+    if (historyEntries.length === 0 || !confirm(`Delete all ${historyEntries.length} saved boards and their stats?`)) return;
+    historyEntries = [];
+    saveHistory();
+    renderHistory();
+}
+
+/**
+ * Loads the saved history and wires up the history panel.
+ */
+function initHistory() {
+    historyEntries = loadHistory();
+    renderHistory();
+    historyListDiv.addEventListener('click', (e) => {
+        const loadButton = e.target.closest('button[data-history-load]');
+        if (loadButton) {
+            loadHistoryEntry(loadButton.dataset.historyLoad);
+            return;
+        }
+        const deleteButton = e.target.closest('button[data-history-delete]');
+        if (deleteButton) deleteHistoryEntry(deleteButton.dataset.historyDelete);
+    });
+    clearHistoryButton.addEventListener('click', clearHistory);
+}
@@ -0,0 +1,106 @@
+// Checks the screenshot reader (ocr.js) against the sample screenshots in
+// fixtures/screenshots: each sample is read with templates rendered by screenshot.js
+// and compared tile by tile with its entry in expected.json. Tiles listed there as
+// unsure must be flagged for the player to check; every other tile must be read
+// correctly and not flagged.
+// The templates are rendered only in the fonts bundled in fixtures/fonts, which are
+// loaded first, so the check gives the same result whatever fonts the machine has
+// installed. Most samples are drawn in other typefaces, as game screenshots would be.
+
+// --- Configuration ---
+const FIXTURE_DIRECTORY = 'fixtures/screenshots/';
+const FIXTURE_FONTS = [
+    { family: 'DejaVu Sans', weight: 'normal', file: 'fixtures/fonts/DejaVuSans.woff2' },
+    { family: 'DejaVu Sans', weight: 'bold', file: 'fixtures/fonts/DejaVuSans-Bold.woff2' },
+    { family: 'Roboto', weight: 'normal', file: 'fixtures/fonts/Roboto.woff2' },
+    { family: 'Roboto', weight: 'bold', file: 'fixtures/fonts/Roboto-Bold.woff2' },
+    { family: 'Nunito', weight: 'normal', file: 'fixtures/fonts/Nunito.woff2' },
+    { family: 'Nunito', weight: 'bold', file: 'fixtures/fonts/Nunito-Bold.woff2' }
+];
+const TEMPLATE_FONTS = [...new Set(FIXTURE_FONTS.map(({ family }) => `"${family}"`))];
+
+// --- DOM Elements ---
+const statusDiv = document.getElementById('status');
+const checkResultsDiv = document.getElementById('checkResults');
+
+/**
+ * Loads the bundled fonts, which take the place of any installed fonts of the same names
+ * when the templates are rendered (see renderLetterTemplates() in screenshot.js).
+ * @returns {Promise<void>}
+ */
+async function loadFixtureFonts() {
+    await Promise.all(FIXTURE_FONTS.map(async ({ family, weight, file }) => {
+        const font = await new FontFace(family, `url(${file})`, { weight }).load();
+        document.fonts.add(font);
+    }));
+}
+
+/**
+ * Reads one sample and compares it with its expected grid and unsure tiles.
+ * @param {string} file
+ * @param {{grid: string[][], unsure?: number[][], multiLetterTiles?: boolean, language?: string}} fixture
+ *   `unsure` lists the [row, col] of each tile the reader should flag; their letters aren't checked.
+ * @returns {Promise<{file: string, wrong: string[], unsure: number, error?: string}>}
+ */
+async function checkFixture(file, fixture) {
+    const { grid, unsure = [], multiLetterTiles = false, language } = fixture;
+    try {
+        const response = await fetch(FIXTURE_DIRECTORY + file);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const image = await readImageData(await response.blob());
+        const templates = renderLetterTemplates(createAlphabet(language), multiLetterTiles, TEMPLATE_FONTS);
+        const result = recognizeGrid(image, { rows: grid.length, cols: grid[0].length, templates });
+        const expectedUnsure = new Set(unsure.map(([r, c]) => `${r},${c}`));
+        const wrong = [];
+        result.tiles.forEach((row, r) => row.forEach((tile, c) => {
+            if (expectedUnsure.has(`${r},${c}`)) {
+                if (!tile.unsure) wrong.push(`(${r},${c}) not flagged as unsure`);
+            } else if (tile.letter !== grid[r][c]) {
+                wrong.push(`(${r},${c}) ${toDisplayCase(tile.letter)} for ${toDisplayCase(grid[r][c])}`);
+            } else if (tile.unsure) {
+                wrong.push(`(${r},${c}) flagged as unsure`);
+            }
+        }));
+        return { file, wrong, unsure: result.tiles.flat().filter(tile => tile.unsure).length };
+    } catch (error) {
+        return { file, wrong: [], unsure: 0, error: error.message };
+    }
+}
+
+/**
+ * Checks every sample and lists the results.
+ */
+async function checkFixtures() {
+    let fixtures;
+    try {
+        await loadFixtureFonts();
+    } catch (error) {
+        statusDiv.textContent = `Could not load the template fonts from fixtures/fonts: ${error.message}`;
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    try {
+        const response = await fetch(`${FIXTURE_DIRECTORY}expected.json`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        fixtures = await response.json();
+    } catch (error) {
+        statusDiv.textContent = `Could not load ${FIXTURE_DIRECTORY}expected.json: ${error.message}`;
+        statusDiv.className = 'status-message error';
+        return;
+    }
+
+    const results = [];
+    for (const [file, fixture] of Object.entries(fixtures)) {
+        results.push(await checkFixture(file, fixture)); // One at a time keeps the template cache warm
+    }
+    checkResultsDiv.innerHTML = results.map(({ file, wrong, unsure, error }) => {
+        const outcome = error ? `error: ${error}` : wrong.length > 0 ? `wrong: ${wrong.join(', ')}` : 'read as expected';
+        const type = error || wrong.length > 0 ? 'error' : 'success';
+        return `<p><strong>${file}</strong>: <span class="${type}">${outcome}</span>; ${unsure} tile${unsure === 1 ? '' : 's'} flagged as unsure.</p>`;
+    }).join('');
+    const failed = results.filter(({ wrong, error }) => error || wrong.length > 0).length;
+    statusDiv.textContent = failed > 0 ? `${failed} of ${results.length} samples failed.` : `All ${results.length} samples read as expected.`;
+    statusDiv.className = `status-message ${failed > 0 ? 'error' : 'success'}`;
+}
+
+document.addEventListener('DOMContentLoaded', checkFixtures);
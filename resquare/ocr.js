@@ -0,0 +1,377 @@
+// Screenshot reader: finds the tile grid in a screenshot and reads the letter on each tile
+// by comparing it with letter templates. No DOM APIs, like solver.js: the page (see
+// screenshot.js) hands over the pixels and templates it rendered with canvas, and Node can
+// load it as a module.
+//
+// Images are { width, height, data } with RGBA bytes, as in canvas ImageData.
+// Tiles are found as same-sized, roughly square blobs that stand out from the background
+// and line up in rows of equal spacing; the background is whichever of the image's most
+// common colors gives such a grid, so crops showing little more than the tiles work too.
+// Failing that, each common color is tried as the color of the tiles themselves, which
+// finds plain tiles on gradient or patterned backgrounds.
+// Letters are matched against templates by shape, so any colors and most sans-serif game
+// fonts work; unsure matches are reported for the player to check.
+
+// --- Configuration ---
+// Color differences (largest channel) tried for setting tiles apart from the background: the
+// low one catches pale tiles on pale backgrounds, the high one keeps compression noise from
+// joining neighbouring tiles in JPEGs
+const OCR_TILE_DISTANCES = [12, 32];
+const OCR_TILE_COLOR_DISTANCE = 32; // Color difference still counted as the tiles' own color
+const OCR_INK_DISTANCE = 64; // Color difference that sets a letter apart from its tile
+const OCR_BACKGROUND_CANDIDATES = 3; // Most common colors tried as the background
+const OCR_MIN_TILE_SIZE = 12; // px
+const OCR_TILE_INSET = 0.12; // Share of the tile side skipped at each edge (rounded corners, borders)
+const OCR_GLYPH_SIZE = 20; // Letters are scaled into a square of this many pixels for comparison
+const OCR_MIN_GLYPH_SHARE = 0.15; // Ink blobs smaller than this share of the largest (score digits, specks) are ignored
+const OCR_MIN_SCORE = 0.8; // A tile whose best match scores lower is flagged as unsure
+const OCR_MIN_MARGIN = 0.05; // So is a tile whose runner-up letter scores within this of the best
+const OCR_BLANK_TILE = '?'; // Tiles without a letter, read as blank tiles (WILDCARD_TILE in solver.js)
+
+// --- Colors ---
+/**
+ * Compares two colors by their largest channel difference.
+ * @param {number[]} a [r, g, b]
+ * @param {number[]} b [r, g, b]
+ * @returns {number}
+ */
+function colorDistance(a, b) {
+    return Math.max(Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]), Math.abs(a[2] - b[2]));
+}
+
+/**
+ * Compares a pixel with a color, like colorDistance() but straight from the image bytes.
+ * @param {Uint8ClampedArray} data RGBA bytes.
+ * @param {number} i Index of the pixel's red byte.
+ * @param {number[]} color [r, g, b]
+ * @returns {number}
+ */
+function pixelDistance(data, i, color) {
+    return Math.max(Math.abs(data[i] - color[0]), Math.abs(data[i + 1] - color[1]), Math.abs(data[i + 2] - color[2]));
+}
+
+/**
+ * Lists the colors of a region, most common first. Colors are grouped into bins of 16
+ * levels per channel, each reported as the mean color of its pixels.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+ * @param {{x0: number, y0: number, x1: number, y1: number}} region Inclusive start, exclusive end.
+ * @returns {{color: number[], count: number}[]}
+ */
+function findDominantColors(image, region) {
+    const { width, data } = image;
+    const bins = new Map(); // Key: bin, Value: [r sum, g sum, b sum, count]
+    for (let y = region.y0; y < region.y1; y++) {
+        for (let x = region.x0; x < region.x1; x++) {
+            const i = (y * width + x) * 4;
+            const r = data[i], g = data[i + 1], b = data[i + 2];
+            const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+            const bin = bins.get(key);
+            if (bin) {
+                bin[0] += r; bin[1] += g; bin[2] += b; bin[3]++;
+            } else {
+                bins.set(key, [r, g, b, 1]);
+            }
+        }
+    }
+    return Array.from(bins.values())
+        .sort((a, b) => b[3] - a[3])
+        .map(([r, g, b, count]) => ({ color: [r / count, g / count, b / count], count }));
+}
+
+// --- Blobs ---
+/**
+ * Finds the 4-connected blobs of set pixels in a mask.
+ * @param {Uint8Array} mask 1 for set pixels, row by row.
+ * @param {number} width
+ * @param {number} height
+ * @returns {{x0: number, y0: number, x1: number, y1: number, area: number}[]} Bounding boxes (end exclusive) and pixel counts.
+ */
+function findBlobs(mask, width, height) {
+    const seen = new Uint8Array(width * height);
+    const stack = new Int32Array(width * height);
+    const blobs = [];
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || seen[start]) continue;
+        const blob = { x0: width, y0: height, x1: 0, y1: 0, area: 0 };
+        let size = 0;
+        stack[size++] = start;
+        seen[start] = 1;
+        while (size > 0) {
+            const index = stack[--size];
+            const x = index % width, y = (index - x) / width;
+            blob.area++;
+            if (x < blob.x0) blob.x0 = x;
+            if (x + 1 > blob.x1) blob.x1 = x + 1;
+            if (y < blob.y0) blob.y0 = y;
+            if (y + 1 > blob.y1) blob.y1 = y + 1;
+            const visit = next => {
+                if (mask[next] && !seen[next]) {
+                    seen[next] = 1;
+                    stack[size++] = next;
+                }
+            };
+            if (x > 0) visit(index - 1);
+            if (x < width - 1) visit(index + 1);
+            if (y > 0) visit(index - width);
+            if (y < height - 1) visit(index + width);
+        }
+        blobs.push(blob);
+    }
+    return blobs;
+}
+
+// --- Tile Grid ---
+/**
+ * Looks for rows x cols tiles among blobs: blobs of about the same size, in rows of
+ * exactly `cols` evenly spaced tiles, with the rows evenly spaced below each other.
+ * Rows don't have to line up, so hexagonal boards with shifted rows are found too.
+ * @param {{x0: number, y0: number, x1: number, y1: number}[]} blobs
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {{x0: number, y0: number, x1: number, y1: number}[][] | null} Tile boxes by row and column.
+ */
+function arrangeTileGrid(blobs, rows, cols) {
+    const sizeOf = blob => Math.max(blob.x1 - blob.x0, blob.y1 - blob.y0);
+    const isEven = gaps => gaps.every(gap => Math.abs(gap - gaps[0]) <= 0.35 * Math.max(gaps[0], 1));
+    const tried = new Set();
+    for (const reference of blobs) {
+        const size = sizeOf(reference);
+        if (tried.has(size)) continue;
+        tried.add(size);
+        const similar = blobs.filter(blob => Math.abs(sizeOf(blob) - size) <= 0.2 * size);
+        if (similar.length < rows * cols) continue;
+
+        // Group into rows by vertical center, then keep the rows that fit
+        const centerY = blob => (blob.y0 + blob.y1) / 2;
+        const lines = [];
+        similar.sort((a, b) => centerY(a) - centerY(b)).forEach(blob => {
+            const line = lines[lines.length - 1];
+            if (line && centerY(blob) - centerY(line[0]) < 0.5 * size) line.push(blob);
+            else lines.push([blob]);
+        });
+        const fits = lines.map(line => {
+            if (line.length !== cols) return false;
+            line.sort((a, b) => a.x0 - b.x0);
+            return isEven(line.slice(1).map((blob, i) => blob.x0 - line[i].x1));
+        });
+        for (let first = 0; first + rows <= lines.length; first++) {
+            const candidate = lines.slice(first, first + rows);
+            if (!fits.slice(first, first + rows).every(Boolean)) continue;
+            const rowGaps = candidate.slice(1).map((line, i) => centerY(line[0]) - centerY(candidate[i][0]));
+            if (isEven(rowGaps) && rowGaps.every(gap => gap < 2 * size)) return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the tile grid in a screenshot.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {{x0: number, y0: number, x1: number, y1: number}[][] | null} Tile boxes by row and column.
+ */
+function findTileGrid(image, rows, cols) {
+    const { width, height, data } = image;
+    const backgrounds = findDominantColors(image, { x0: 0, y0: 0, x1: width, y1: height }).slice(0, OCR_BACKGROUND_CANDIDATES);
+    const findTiles = isTilePixel => {
+        const mask = new Uint8Array(width * height);
+        for (let p = 0; p < mask.length; p++) {
+            mask[p] = isTilePixel(p * 4) ? 1 : 0;
+        }
+        const squares = findBlobs(mask, width, height).filter(blob => {
+            const w = blob.x1 - blob.x0, h = blob.y1 - blob.y0;
+            return Math.min(w, h) >= OCR_MIN_TILE_SIZE && w / h > 0.75 && w / h < 1.33 && blob.area >= 0.5 * w * h;
+        });
+        return arrangeTileGrid(squares, rows, cols);
+    };
+    for (const { color } of backgrounds) {
+        for (const distance of OCR_TILE_DISTANCES) {
+            const tiles = findTiles(i => pixelDistance(data, i, color) > distance);
+            if (tiles) return tiles;
+        }
+    }
+    for (const { color } of backgrounds) {
+        const tiles = findTiles(i => pixelDistance(data, i, color) <= OCR_TILE_COLOR_DISTANCE);
+        if (tiles) return tiles;
+    }
+    return null;
+}
+
+// --- Letters ---
+/**
+ * Reads the letter shape inside a region: how strongly each pixel differs from the
+ * region's own (most common) color, cropped to the letter and scaled into an
+ * OCR_GLYPH_SIZE square with its proportions kept.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+ * @param {{x0: number, y0: number, x1: number, y1: number}} region
+ * @returns {Float32Array | null} Ink per pixel from 0 to 1, or null if the region is blank.
+ */
+function readGlyph(image, region) {
+    const colors = findDominantColors(image, region);
+    const tileColor = colors[0].color;
+    const ink = colors.find(({ color }) => colorDistance(color, tileColor) > OCR_INK_DISTANCE);
+    if (!ink) return null;
+    const contrast = colorDistance(ink.color, tileColor);
+
+    const { width: imageWidth, data } = image;
+    const width = region.x1 - region.x0, height = region.y1 - region.y0;
+    const coverage = new Float32Array(width * height);
+    const mask = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const distance = pixelDistance(data, ((region.y0 + y) * imageWidth + region.x0 + x) * 4, tileColor);
+            const value = Math.min(1, Math.max(0, (distance - 0.2 * contrast) / (0.6 * contrast)));
+            coverage[y * width + x] = value;
+            mask[y * width + x] = value > 0.5 ? 1 : 0;
+        }
+    }
+
+    // Blobs touching the edge of the region are tile borders or shadows, not the letter
+    const blobs = findBlobs(mask, width, height).filter(blob => blob.x0 > 0 && blob.y0 > 0 && blob.x1 < width && blob.y1 < height);
+    if (blobs.length === 0) return null;
+    const largest = Math.max(...blobs.map(blob => blob.area));
+    const kept = blobs.filter(blob => blob.area >= OCR_MIN_GLYPH_SHARE * largest);
+    const box = {
+        x0: Math.min(...kept.map(blob => blob.x0)), y0: Math.min(...kept.map(blob => blob.y0)),
+        x1: Math.max(...kept.map(blob => blob.x1)), y1: Math.max(...kept.map(blob => blob.y1))
+    };
+
+    // Scale the letter's box into the glyph square, centered, averaging the pixels each glyph pixel covers
+    const boxWidth = box.x1 - box.x0, boxHeight = box.y1 - box.y0;
+    const scale = OCR_GLYPH_SIZE / Math.max(boxWidth, boxHeight);
+    const offsetX = (OCR_GLYPH_SIZE - boxWidth * scale) / 2, offsetY = (OCR_GLYPH_SIZE - boxHeight * scale) / 2;
+    const glyph = new Float32Array(OCR_GLYPH_SIZE * OCR_GLYPH_SIZE);
+    for (let gy = 0; gy < OCR_GLYPH_SIZE; gy++) {
+        const sy0 = box.y0 + (gy - offsetY) / scale, sy1 = sy0 + 1 / scale;
+        for (let gx = 0; gx < OCR_GLYPH_SIZE; gx++) {
+            const sx0 = box.x0 + (gx - offsetX) / scale, sx1 = sx0 + 1 / scale;
+            let sum = 0, count = 0;
+            for (let y = Math.floor(sy0); y < Math.max(Math.ceil(sy1), Math.floor(sy0) + 1); y++) {
+                for (let x = Math.floor(sx0); x < Math.max(Math.ceil(sx1), Math.floor(sx0) + 1); x++) {
+                    if (x < box.x0 || x >= box.x1 || y < box.y0 || y >= box.y1) continue;
+                    sum += coverage[y * width + x];
+                    count++;
+                }
+            }
+            glyph[gy * OCR_GLYPH_SIZE + gx] = count > 0 ? sum / count : 0;
+        }
+    }
+    return blurGlyph(glyph);
+}
+
+/**
+ * Softens a glyph with a 3x3 blur, so letters in bolder or thinner fonts than the
+ * templates still overlap them.
+ * @param {Float32Array} glyph
+ * @returns {Float32Array}
+ */
+function blurGlyph(glyph) {
+    const weights = [1, 2, 1];
+    const blurred = new Float32Array(glyph.length);
+    for (let y = 0; y < OCR_GLYPH_SIZE; y++) {
+        for (let x = 0; x < OCR_GLYPH_SIZE; x++) {
+            let sum = 0, total = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const sx = x + dx, sy = y + dy;
+                    if (sx < 0 || sy < 0 || sx >= OCR_GLYPH_SIZE || sy >= OCR_GLYPH_SIZE) continue;
+                    const weight = weights[dx + 1] * weights[dy + 1];
+                    sum += weight * glyph[sy * OCR_GLYPH_SIZE + sx];
+                    total += weight;
+                }
+            }
+            blurred[y * OCR_GLYPH_SIZE + x] = sum / total;
+        }
+    }
+    return blurred;
+}
+
+/**
+ * Builds a letter template from an image showing just that letter (in any colors).
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+ * @param {string} letter The tile the template stands for, e.g. "e" or "qu".
+ * @returns {{letter: string, glyph: Float32Array} | null} Null if the image is blank.
+ */
+function createLetterTemplate(image, letter) {
+    const glyph = readGlyph(image, { x0: 0, y0: 0, x1: image.width, y1: image.height });
+    return glyph ? { letter, glyph } : null;
+}
+
+/**
+ * Scores how alike two glyphs are (normalized cross-correlation).
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {number} From -1 to 1; 1 for the same shape.
+ */
+function compareGlyphs(a, b) {
+    const n = a.length;
+    let meanA = 0, meanB = 0;
+    for (let i = 0; i < n; i++) { meanA += a[i]; meanB += b[i]; }
+    meanA /= n; meanB /= n;
+    let product = 0, sumA = 0, sumB = 0;
+    for (let i = 0; i < n; i++) {
+        const da = a[i] - meanA, db = b[i] - meanB;
+        product += da * db; sumA += da * da; sumB += db * db;
+    }
+    return sumA > 0 && sumB > 0 ? product / Math.sqrt(sumA * sumB) : 0;
+}
+
+/**
+ * Ranks the letters a glyph could be, keeping each letter's best template.
+ * @param {Float32Array} glyph
+ * @param {{letter: string, glyph: Float32Array}[]} templates
+ * @returns {{letter: string, score: number}[]} Best match first.
+ */
+function matchGlyph(glyph, templates) {
+    const best = new Map();
+    templates.forEach(template => {
+        const score = compareGlyphs(glyph, template.glyph);
+        if (!best.has(template.letter) || score > best.get(template.letter)) best.set(template.letter, score);
+    });
+    return Array.from(best, ([letter, score]) => ({ letter, score })).sort((a, b) => b.score - a.score);
+}
+
+// --- Grid Recognition ---
+/**
+ * Reads a board from a screenshot.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+ * @param {{rows: number, cols: number, templates: {letter: string, glyph: Float32Array}[]}} options
+ * @returns {{grid: string[][], tiles: {letter: string, score: number, alternatives: string[], unsure: boolean}[][]}}
+ *   Tiles carry the match score, the next likeliest letters and whether the match is too weak to trust.
+ * @throws {Error} If no grid of that size is found or there are no templates.
+ */
+function recognizeGrid(image, { rows, cols, templates }) {
+    if (templates.length === 0) throw new Error('No letter templates to compare the tiles with.');
+    const boxes = findTileGrid(image, rows, cols);
+    if (!boxes) throw new Error(`Could not find a ${rows}x${cols} grid of tiles in the image.`);
+
+    const tiles = boxes.map(row => row.map(box => {
+        const inset = Math.round(OCR_TILE_INSET * Math.min(box.x1 - box.x0, box.y1 - box.y0));
+        const glyph = readGlyph(image, { x0: box.x0 + inset, y0: box.y0 + inset, x1: box.x1 - inset, y1: box.y1 - inset });
+        if (!glyph) return { letter: OCR_BLANK_TILE, score: 0, alternatives: [], unsure: true };
+        const [best, ...others] = matchGlyph(glyph, templates);
+        const runnerUp = others.length > 0 ? others[0].score : -1;
+        return {
+            letter: best.letter,
+            score: best.score,
+            alternatives: others.slice(0, 2).map(({ letter }) => letter),
+            unsure: best.score < OCR_MIN_SCORE || best.score - runnerUp < OCR_MIN_MARGIN
+        };
+    }));
+    return { grid: tiles.map(row => row.map(({ letter }) => letter)), tiles };
+}
+
+// Node uses this as a CommonJS module; the page gets the globals.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        findDominantColors,
+        findBlobs,
+        findTileGrid,
+        readGlyph,
+        createLetterTemplate,
+        compareGlyphs,
+        matchGlyph,
+        recognizeGrid
+    };
+}
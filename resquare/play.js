@@ -0,0 +1,406 @@
+// Play mode: the solved board becomes a timed game. The player traces words by dragging
+// across the tiles with the mouse or a finger; each trace is checked for adjacency and
+// against the solver's word set, scored by length, and the round ends with a comparison
+// of the player's words and the full solution.
+// Loaded before script.js, which calls initPlay() and tells it when a search finishes.
+
+// --- Configuration ---
+const WORD_POINTS = [0, 1, 1, 1, 1, 2, 3, 5]; // Points by word length, as in Boggle
+const LONG_WORD_POINTS = 11; // Points for words longer than WORD_POINTS covers
+const TRACE_HIT_RADIUS = 0.4; // Share of a tile's width from its centre that counts as touching it, so diagonal swipes don't clip the tiles beside them
+const TIMER_INTERVAL_MS = 250;
+const LOW_TIME_MS = 10000; // The clock turns red from here
+
+// --- Global Variables ---
+// { grid, adjacency, pathWords: Map<pathKey, word[]>, found: Map<word, path>, score, endsAt, timer, trace: number[][] | null }
+let playState = null;
+let roundPending = false; // Start was pressed and the grid is being solved first
+
+// --- DOM Elements ---
+const roundLengthInput = document.getElementById('roundLengthInput');
+const startRoundButton = document.getElementById('startRoundButton');
+const playStatusDiv = document.getElementById('playStatus');
+const roundTimer = document.getElementById('roundTimer');
+const roundScore = document.getElementById('roundScore');
+const tracedWord = document.getElementById('tracedWord');
+const playMessage = document.getElementById('playMessage');
+const endRoundButton = document.getElementById('endRoundButton');
+const roundSummarySection = document.getElementById('round-summary');
+const roundSummaryDiv = document.getElementById('roundSummary');
+
+// --- Scoring ---
+/**
+ * Scores a word by its length.
+ * @param {string} word
+ * @returns {number}
+ */
+function scoreWord(word) {
+    return word.length < WORD_POINTS.length ? WORD_POINTS[word.length] : LONG_WORD_POINTS;
+}
+
+/**
+ * Builds the lookup key for a path, e.g. "0,0 0,1 1,1".
+ * @param {number[][]} path Ordered list of [row, col] cells.
+ * @returns {string}
+ */
+function pathKey(path) {
+    return path.map(([r, c]) => `${r},${c}`).join(' ');
+}
+
+/**
+ * Formats the time left in a round as m:ss.
+ * @param {number} milliseconds
+ * @returns {string}
+ */
+function formatClock(milliseconds) {
+    const seconds = Math.ceil(milliseconds / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// --- Rounds ---
+/**
+ * @returns {boolean} Whether a round is running or about to start; the answers stay hidden meanwhile.
+ */
+function isRoundActive() {
+    return roundPending || playState !== null;
+}
+
+/**
+ * Starts a round on the current grid, solving it first unless the last search already did.
+ */
+function startRound() {
+    if (isRoundActive()) return;
+    if (activeSearch) {
+        updateStatus('Wait for the search to finish, then start the round.', 'info');
+        return;
+    }
+    const grid = getGridLetters();
+    if (!grid) return; // Error message already shown by getGridLetters
+
+    roundPending = true;
+    startRoundButton.disabled = true;
+    updateHintModeVisibility();
+    if (lastSearchGrid && JSON.stringify(lastSearchGrid) === JSON.stringify(grid)) {
+        beginRound();
+        return;
+    }
+    solve();
+    if (!activeSearch) abandonPendingRound(); // The dictionary isn't ready; solve() said why
+}
+
+/**
+ * Starts the round that was waiting for its search, or drops it if the search was cancelled.
+ * Called by finishSearch().
+ * @param {boolean} cancelled Whether the search stopped early.
+ */
+function resumePendingRound(cancelled) {
+    if (!roundPending) return;
+    if (cancelled) {
+        abandonPendingRound();
+        updateStatus('Round not started: the search was cancelled before every word was found.', 'info');
+        return;
+    }
+    beginRound();
+}
+
+/**
+ * Gives up on a round that hasn't started yet.
+ */
+function abandonPendingRound() {
+    roundPending = false;
+    startRoundButton.disabled = false;
+    updateHintModeVisibility();
+}
+
+/**
+ * Starts the clock on the last search's grid and hands the grid over to tracing.
+ */
+function beginRound() {
+    if (lastWordResults.size === 0) {
+        abandonPendingRound();
+        updateStatus('There are no words in this grid to play for.', 'error');
+        return;
+    }
+    const grid = lastSearchGrid;
+    const pathWords = new Map(); // Key: pathKey(), Value: the words spelled along it (several with blank tiles)
+    lastWordResults.forEach(({ word, paths }) => paths.forEach(path => {
+        const key = pathKey(path);
+        if (!pathWords.has(key)) pathWords.set(key, []);
+        pathWords.get(key).push(word);
+    }));
+
+    roundPending = false;
+    playState = {
+        grid,
+        adjacency: buildAdjacency(settings.topology, grid.length, grid[0].length),
+        pathWords,
+        found: new Map(),
+        score: 0,
+        endsAt: Date.now() + parseInt(roundLengthInput.value, 10) * 1000,
+        timer: setInterval(updateRoundTimer, TIMER_INTERVAL_MS),
+        trace: null
+    };
+    resetPinnedPath();
+    gridContainer.classList.add('playing');
+    gridContainer.querySelectorAll('.grid-input').forEach(input => { input.readOnly = true; });
+    roundSummarySection.hidden = true;
+    playStatusDiv.hidden = false;
+    endRoundButton.hidden = false;
+    playMessage.textContent = 'Drag across the tiles to trace a word.';
+    tracedWord.textContent = '';
+    updateRoundScore();
+    updateRoundTimer();
+    updateStatus(`Round started: ${lastWordResults.size} words to find.`, 'info');
+}
+
+/**
+ * Ticks the clock and ends the round when time is up.
+ */
+function updateRoundTimer() {
+    const remaining = Math.max(0, playState.endsAt - Date.now());
+    roundTimer.textContent = formatClock(remaining);
+    roundTimer.classList.toggle('low', remaining <= LOW_TIME_MS);
+    if (remaining === 0) endRound();
+}
+
+/**
+ * Shows the score and word count so far.
+ */
+function updateRoundScore() {
+    const { score, found } = playState;
+    roundScore.textContent = `${score} point${score === 1 ? '' : 's'} · ${found.size} word${found.size === 1 ? '' : 's'}`;
+}
+
+/**
+ * Stops the clock and gives the grid back to editing, without a summary.
+ */
+function stopRound() {
+    clearInterval(playState.timer);
+    playState = null;
+    gridContainer.classList.remove('playing');
+    gridContainer.querySelectorAll('.grid-input').forEach(input => {
+        input.readOnly = false;
+        input.classList.remove('traced');
+    });
+    playStatusDiv.hidden = true;
+    endRoundButton.hidden = true;
+    startRoundButton.disabled = false;
+}
+
+/**
+ * Ends the round and compares the player's words with the full solution.
+ */
+function endRound() {
+    if (!playState) return;
+    const { found, score } = playState;
+    stopRound();
+    renderRoundSummary(found, score);
+    updateHintModeVisibility();
+    updateStatus(`Round over: ${score} point${score === 1 ? '' : 's'}.`, 'success');
+}
+
+/**
+ * Stops any round and removes the last summary, e.g. when the results are cleared.
+ * A round waiting for its search is left alone.
+ */
+function clearRound() {
+    if (playState) {
+        stopRound();
+        updateHintModeVisibility();
+    }
+    roundSummarySection.hidden = true;
+    roundSummaryDiv.innerHTML = '';
+}
+
+/**
+ * Renders the end-of-round comparison: score against the maximum, the words found and
+ * the words missed, longest first. Words can be hovered or clicked to show their path.
+ * @param {Map<string, number[][]>} found Words the player traced, with the path used.
+ * @param {number} score
+ */
+function renderRoundSummary(found, score) {
+    const allWords = Array.from(lastWordResults.values());
+    const maxScore = allWords.reduce((sum, { word }) => sum + scoreWord(word), 0);
+    const threshold = parseFloat(likelyThresholdInput.value);
+    const likely = allWords.filter(({ commonness }) => commonness >= threshold);
+    const wordSpan = word => `<span class="result-word" data-word="${word}">${word}</span>`;
+    const byLength = (a, b) => b.length - a.length || a.localeCompare(b);
+
+    const percent = allWords.length > 0 ? Math.round(100 * found.size / allWords.length) : 0;
+    let html = `<p>You scored <strong>${score}</strong> of ${maxScore} points, finding ${found.size} of ${allWords.length} words (${percent}%).</p>`;
+    html += `<p>Likely answers found: ${likely.filter(({ word }) => found.has(word)).length} of ${likely.length}.</p>`;
+
+    const foundWords = Array.from(found.keys()).sort(byLength);
+    html += `<h3>Your words (${foundWords.length})</h3>`;
+    html += foundWords.length > 0
+        ? `<p>${foundWords.map(word => `${wordSpan(word)} +${scoreWord(word)}`).join(', ')}</p>`
+        : '<p class="empty">None this time.</p>';
+
+    const missed = allWords.map(({ word }) => word).filter(word => !found.has(word)).sort(byLength);
+    html += `<h3>Missed (${missed.length})</h3>`;
+    const lengths = Array.from(new Set(missed.map(word => word.length)));
+    lengths.forEach(length => {
+        const group = missed.filter(word => word.length === length);
+        html += `<p><span class="group-label">${length} letters (${group.length}):</span> ${group.map(wordSpan).join(', ')}</p>`;
+    });
+    if (missed.length === 0) html += '<p class="success">Every word found!</p>';
+
+    roundSummaryDiv.innerHTML = html;
+    roundSummarySection.hidden = false;
+}
+
+// --- Tracing ---
+/**
+ * Finds the tile under a point, ignoring the outer edge of each tile.
+ * @param {number} x Viewport x coordinate.
+ * @param {number} y Viewport y coordinate.
+ * @returns {number[] | null} [row, col], or null if no tile is close enough.
+ */
+function cellAtPoint(x, y) {
+    const element = document.elementFromPoint(x, y);
+    const input = element && element.closest('.grid-input');
+    if (!input || !gridContainer.contains(input)) return null;
+    const rect = input.getBoundingClientRect();
+    const distance = Math.hypot(x - (rect.left + rect.width / 2), y - (rect.top + rect.height / 2));
+    if (distance > rect.width * TRACE_HIT_RADIUS) return null;
+    const [, r, c] = input.id.split('-').map(Number);
+    return [r, c];
+}
+
+/**
+ * Checks whether two cells touch on the current board topology.
+ * @param {number[]} from [row, col]
+ * @param {number[]} to [row, col]
+ * @returns {boolean}
+ */
+function areAdjacent([fromRow, fromCol], [toRow, toCol]) {
+    const cols = playState.grid[0].length;
+    return playState.adjacency[fromRow * cols + fromCol].some(([r, c]) => r === toRow && c === toCol);
+}
+
+/**
+ * Spells out the tiles along a path, blanks as WILDCARD_TILE.
+ * @param {number[][]} path
+ * @returns {string}
+ */
+function spellPath(path) {
+    return path.map(([r, c]) => playState.grid[r][c]).join('');
+}
+
+/**
+ * Marks the traced cells on the grid and shows the letters so far.
+ */
+function renderTrace() {
+    const trace = playState.trace || [];
+    const traced = new Set(trace.map(([r, c]) => `cell-${r}-${c}`));
+    gridContainer.querySelectorAll('.grid-input').forEach(input => input.classList.toggle('traced', traced.has(input.id)));
+    tracedWord.textContent = spellPath(trace).toUpperCase();
+}
+
+/**
+ * Adds a cell to the trace if it touches the last one. Moving back onto the previous
+ * cell undoes the last step; cells already on the trace are skipped.
+ * @param {number[]} cell [row, col]
+ */
+function extendTrace(cell) {
+    const { trace } = playState;
+    const key = `${cell[0]},${cell[1]}`;
+    const index = trace.findIndex(([r, c]) => `${r},${c}` === key);
+    if (index === trace.length - 1) return;
+    if (index !== -1 && index === trace.length - 2) {
+        trace.pop();
+    } else if (index === -1 && areAdjacent(trace[trace.length - 1], cell)) {
+        trace.push(cell);
+    } else {
+        return;
+    }
+    renderTrace();
+}
+
+/**
+ * Checks a finished trace against the solution and scores it.
+ * @param {number[][]} path
+ */
+function submitTrace(path) {
+    const letters = spellPath(path).toUpperCase();
+    if (path.length === 1 && settings.minWordLength > 1) return; // A tap, not a word
+    if (path.some((cell, i) => i > 0 && !areAdjacent(path[i - 1], cell))) {
+        playMessage.textContent = `${letters}: the tiles must touch.`;
+        return;
+    }
+    const words = playState.pathWords.get(pathKey(path)) || [];
+    const word = words.find(candidate => !playState.found.has(candidate));
+    if (words.length === 0) {
+        const tooShort = letters.length < settings.minWordLength;
+        playMessage.textContent = tooShort ? `${letters} is too short.` : `${letters} is not a word.`;
+    } else if (!word) {
+        playMessage.textContent = `${words[0].toUpperCase()} is already found.`;
+    } else {
+        const points = scoreWord(word);
+        playState.found.set(word, path);
+        playState.score += points;
+        markWordPlayed(word);
+        playMessage.textContent = `✓ ${word.toUpperCase()} +${points}`;
+        updateRoundScore();
+        if (playState.found.size === lastWordResults.size) endRound();
+    }
+}
+
+/**
+ * Starts a trace when the pointer goes down on a tile during a round.
+ * @param {PointerEvent} e
+ */
+function handleTraceStart(e) {
+    if (!playState) return;
+    const cell = cellAtPoint(e.clientX, e.clientY);
+    if (!cell) return;
+    e.preventDefault(); // No text selection, scrolling or focus while tracing
+    gridContainer.setPointerCapture(e.pointerId);
+    playState.trace = [cell];
+    renderTrace();
+}
+
+/**
+ * Extends the trace as the pointer moves over the tiles.
+ * @param {PointerEvent} e
+ */
+function handleTraceMove(e) {
+    if (!playState || !playState.trace) return;
+    const cell = cellAtPoint(e.clientX, e.clientY);
+    if (cell) extendTrace(cell);
+}
+
+/**
+ * Submits the trace when the pointer is released.
+ */
+function handleTraceEnd() {
+    if (!playState || !playState.trace) return;
+    const path = playState.trace;
+    playState.trace = null;
+    renderTrace();
+    submitTrace(path);
+}
+
+/**
+ * Drops the trace when the browser takes the pointer away, e.g. for a system gesture.
+ */
+function cancelTrace() {
+    if (!playState) return;
+    playState.trace = null;
+    renderTrace();
+}
+
+/**
+ * Wires up the play panel and tracing on the grid.
+ */
+function initPlay() {
+    startRoundButton.addEventListener('click', startRound);
+    endRoundButton.addEventListener('click', endRound);
+    gridContainer.addEventListener('pointerdown', handleTraceStart);
+    gridContainer.addEventListener('pointermove', handleTraceMove);
+    gridContainer.addEventListener('pointerup', handleTraceEnd);
+    gridContainer.addEventListener('pointercancel', cancelTrace);
+    roundSummaryDiv.addEventListener('click', handleResultClick);
+    roundSummaryDiv.addEventListener('mouseover', handleResultHover);
+    roundSummaryDiv.addEventListener('mouseout', handleResultHoverEnd);
+}
@@ -0,0 +1,222 @@
+// Dictionary profiles: extra word lists, proper-noun filtering and the personal
+// "game accepted" / "game rejected" lists, persisted in localStorage.
+// Loaded before script.js, which sends the active profile to the solver worker.
+
+// --- Configuration ---
+const PROFILES_STORAGE_KEY = 'resquare.dictionaryProfiles';
+const DEFAULT_PROFILE_NAME = 'Default';
+
+// --- Global Variables ---
+let profileStore = null; // { active: name, profiles: { [name]: profile } }, see loadProfiles()
+let onProfileChange = () => {}; // Set by initProfiles()
+
+// --- DOM Elements ---
+const profileSelect = document.getElementById('profileSelect');
+const newProfileButton = document.getElementById('newProfileButton');
+const deleteProfileButton = document.getElementById('deleteProfileButton');
+const dropProperNounsInput = document.getElementById('dropProperNouns');
+const wordListFileInput = document.getElementById('wordListFile');
+const wordListsList = document.getElementById('wordLists');
+const acceptedWordsInput = document.getElementById('acceptedWords');
+const rejectedWordsInput = document.getElementById('rejectedWords');
+
+// --- Profile Storage ---
+/**
+ * Creates an empty profile.
+ * @returns {{dropProperNouns: boolean, lists: {name: string, text: string}[], accepted: string[], rejected: string[]}}
+ */
+function createProfile() {
+    return { dropProperNouns: false, lists: [], accepted: [], rejected: [] };
+}
+
+/**
+ * Reads the saved profiles, falling back to a single default profile.
+ * @returns {{active: string, profiles: Object<string, object>}}
+ */
+function loadProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+        if (saved && saved.profiles && saved.profiles[saved.active]) {
+            return saved;
+        }
+    } catch (error) {
+        console.warn('Could not read dictionary profiles, starting fresh:', error);
+    }
+    return { active: DEFAULT_PROFILE_NAME, profiles: { [DEFAULT_PROFILE_NAME]: createProfile() } };
+}
+
+/**
+ * Persists the profiles. Large word lists can exceed the storage quota, which is reported.
+ * @returns {boolean} True if the profiles were saved.
+ */
+function saveProfiles() {
+    try {
+        localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profileStore));
+        return true;
+    } catch (error) {
+        console.error('Could not save dictionary profiles:', error);
+        updateStatus('Could not save the dictionary profile (browser storage is full?). Changes last until the page is closed.', 'error');
+        return false;
+    }
+}
+
+/**
+ * @returns {{dropProperNouns: boolean, lists: {name: string, text: string}[], accepted: string[], rejected: string[]}} The active profile.
+ */
+function getActiveProfile() {
+    return profileStore.profiles[profileStore.active];
+}
+
+/**
+ * Saves the profiles, refreshes the panel and notifies script.js.
+ */
+function commitProfileChange() {
+    saveProfiles();
+    renderProfilePanel();
+    onProfileChange(getActiveProfile());
+}
+
+/**
+ * Cleans the words typed into an accepted/rejected list: one per line, normalized for the
+ * current alphabet (see alphabet.js), dropping anything with other letters.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parsePersonalList(text) {
+    const words = text.split(/[\s,]+/).map(word => normalizeText(word.trim(), alphabet)).filter(word => isAlphabetWord(word, alphabet));
+    return Array.from(new Set(words)).sort();
+}
+
+/**
+ * Adds a word to the active profile's accepted or rejected list, removing it from the other.
+ * @param {string} word
+ * @param {'accepted' | 'rejected'} listName
+ */
+function addToPersonalList(word, listName) {
+    const profile = getActiveProfile();
+    const otherName = listName === 'accepted' ? 'rejected' : 'accepted';
+    profile[otherName] = profile[otherName].filter(other => other !== word);
+    if (!profile[listName].includes(word)) {
+        profile[listName] = [...profile[listName], word].sort();
+    }
+    commitProfileChange();
+}
+
+// --- Profile Panel ---
+/**
+ * Renders the profile panel from the active profile.
+ */
+function renderProfilePanel() {
+    const profile = getActiveProfile();
+
+    profileSelect.innerHTML = '';
+    Object.keys(profileStore.profiles).sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        option.selected = name === profileStore.active;
+        profileSelect.appendChild(option);
+    });
+    deleteProfileButton.disabled = Object.keys(profileStore.profiles).length === 1;
+
+    dropProperNounsInput.checked = profile.dropProperNouns;
+    acceptedWordsInput.value = profile.accepted.join('\n');
+    rejectedWordsInput.value = profile.rejected.join('\n');
+
+    wordListsList.innerHTML = '';
+    if (profile.lists.length === 0) {
+        wordListsList.innerHTML = '<li class="empty">No extra word lists.</li>';
+    }
+    profile.lists.forEach((list, index) => {
+        const item = document.createElement('li');
+        const lineCount = list.text.split(/\r?\n/).filter(line => line.trim()).length;
+        item.textContent = `${list.name} (${lineCount} lines) `;
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'small secondary';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            profile.lists.splice(index, 1);
+            commitProfileChange();
+        });
+        item.appendChild(removeButton);
+        wordListsList.appendChild(item);
+    });
+}
+
+/**
+ * Reads the chosen word list files into the active profile. A list with the same
+ * file name as an existing one replaces it.
+ */
+async function handleWordListFiles() {
+    const profile = getActiveProfile();
+    const files = Array.from(wordListFileInput.files);
+    for (const file of files) {
+        const text = await file.text();
+        profile.lists = profile.lists.filter(list => list.name !== file.name);
+        profile.lists.push({ name: file.name, text });
+    }
+    wordListFileInput.value = ''; // Allow choosing the same file again after editing it
+    if (files.length > 0) commitProfileChange();
+}
+
+/**
+ * Prompts for a name and creates a new, empty profile.
+ */
+function createNewProfile() {
+    const name = (prompt('Name for the new dictionary profile:') || '').trim();
+    if (!name) return;
+    if (profileStore.profiles[name]) {
+        updateStatus(`A profile named "${name}" already exists.`, 'error');
+        return;
+    }
+    profileStore.profiles[name] = createProfile();
+    profileStore.active = name;
+    commitProfileChange();
+}
+
+/**
+ * Deletes the active profile after confirmation. The last profile can't be deleted.
+ */
+function deleteActiveProfile() {
+    const names = Object.keys(profileStore.profiles);
+    if (names.length === 1 || !confirm(`Delete the dictionary profile "${profileStore.active}"?`)) return;
+    delete profileStore.profiles[profileStore.active];
+    profileStore.active = Object.keys(profileStore.profiles).sort()[0];
+    commitProfileChange();
+}
+
+/**
+ * Loads the saved profiles and wires up the profile panel.
+ * @param {function(object): void} changeCallback Called with the active profile whenever it changes.
+ */
+function initProfiles(changeCallback) {
+    profileStore = loadProfiles();
+    onProfileChange = changeCallback;
+    renderProfilePanel();
+
+    profileSelect.addEventListener('change', () => {
+        profileStore.active = profileSelect.value;
+        commitProfileChange();
+    });
+    newProfileButton.addEventListener('click', createNewProfile);
+    deleteProfileButton.addEventListener('click', deleteActiveProfile);
+    dropProperNounsInput.addEventListener('change', () => {
+        getActiveProfile().dropProperNouns = dropProperNounsInput.checked;
+        commitProfileChange();
+    });
+    wordListFileInput.addEventListener('change', handleWordListFiles);
+    // A word can only be on one of the personal lists; the list just edited wins
+    acceptedWordsInput.addEventListener('change', () => {
+        const profile = getActiveProfile();
+        profile.accepted = parsePersonalList(acceptedWordsInput.value);
+        profile.rejected = profile.rejected.filter(word => !profile.accepted.includes(word));
+        commitProfileChange();
+    });
+    rejectedWordsInput.addEventListener('change', () => {
+        const profile = getActiveProfile();
+        profile.rejected = parsePersonalList(rejectedWordsInput.value);
+        profile.accepted = profile.accepted.filter(word => !profile.rejected.includes(word));
+        commitProfileChange();
+    });
+}
@@ -0,0 +1,111 @@
+// Puzzle generator panel: asks the solver worker for a board (see generator.js) that
+// matches the current grid size and word lengths, then loads it into the solver.
+// Loaded before script.js, which forwards the worker's replies.
+
+// --- Global Variables ---
+let generationCounter = 0; // Incremented per request so replies to stale requests are ignored
+let pendingGenerationId = null; // Id of the request the worker is working on
+
+// --- DOM Elements ---
+const seedInput = document.getElementById('seedInput');
+const randomSeedButton = document.getElementById('randomSeedButton');
+const minWordsInput = document.getElementById('minWordsInput');
+const maxWordsInput = document.getElementById('maxWordsInput');
+const keystoneLengthInput = document.getElementById('keystoneLengthInput');
+const generateButton = document.getElementById('generateButton');
+const cancelGenerateButton = document.getElementById('cancelGenerateButton');
+const generatorResult = document.getElementById('generatorResult');
+
+// --- Generator Panel ---
+/**
+ * Puts a fresh random seed in the seed field.
+ */
+function fillRandomSeed() {
+    seedInput.value = Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Sends the panel's options to the worker, using a random seed if none was given.
+ */
+function requestPuzzle() {
+    if (!dictionaryLoaded || isLoading) {
+        updateStatus('Wait for the dictionary to load before generating a puzzle.', 'error');
+        return;
+    }
+    if (!seedInput.value.trim()) fillRandomSeed();
+    const minWords = parseInt(minWordsInput.value, 10);
+    const maxWords = parseInt(maxWordsInput.value, 10);
+    const keystoneLength = parseInt(keystoneLengthInput.value, 10);
+    if ([minWords, maxWords, keystoneLength].some(value => Number.isNaN(value) || value < 1) || maxWords < minWords) {
+        updateStatus('Enter a word-count range (from ≤ to) and a keystone length.', 'error');
+        return;
+    }
+
+    const { rows, cols, topology, minWordLength, maxWordLength } = settings;
+    pendingGenerationId = ++generationCounter;
+    generateButton.disabled = true;
+    cancelGenerateButton.hidden = false;
+    generatorResult.textContent = '';
+    updateStatus('Generating a puzzle...', 'loading');
+    solverWorker.postMessage({
+        type: 'generate',
+        id: pendingGenerationId,
+        options: { seed: seedInput.value.trim(), rows, cols, topology, minWordLength, maxWordLength, minWords, maxWords, keystoneLength }
+    });
+}
+
+/**
+ * Loads a generated board into the solver and describes it. The keystone itself stays
+ * hidden so the board can still be played.
+ * @param {{id: number, puzzle: object}} message
+ */
+function handleGeneratedPuzzle({ id, puzzle }) {
+    if (id !== pendingGenerationId) return;
+    finishGeneration();
+
+    loadBoard(puzzle.grid);
+    updateBoardHash(puzzle.grid);
+    const { rating, maxRating, label } = puzzle.difficulty;
+    const coverage = puzzle.uncovered === 0 ? 'every tile used' : `${puzzle.uncovered} tile(s) unused`;
+    const summary = `Seed "${puzzle.seed}": ${puzzle.wordCount} words, a ${puzzle.keystone.length}-letter keystone, ${coverage}. Difficulty ${rating}/${maxRating} (${label}).`;
+    generatorResult.textContent = puzzle.meetsTargets ? summary : `No board met every target; this is the closest. ${summary}`;
+    updateStatus('Puzzle generated and loaded. Press Find Words to solve it.', puzzle.meetsTargets ? 'success' : 'info');
+}
+
+/**
+ * Reports a failed generation request.
+ * @param {{id: number, message: string}} message
+ */
+function handleGenerateError({ id, message }) {
+    if (id !== pendingGenerationId) return;
+    finishGeneration();
+    updateStatus(`Could not generate a puzzle: ${message}`, 'error');
+}
+
+/**
+ * Stops the running generation; the board on screen is left as it was.
+ */
+function cancelGeneration() {
+    if (pendingGenerationId === null) return;
+    solverWorker.postMessage({ type: 'cancel', id: pendingGenerationId, scope: 'generate' });
+    finishGeneration();
+    updateStatus('Puzzle generation cancelled.', 'info');
+}
+
+/**
+ * Puts the panel back in its idle state once a generation ends, however it ends.
+ */
+function finishGeneration() {
+    pendingGenerationId = null;
+    generateButton.disabled = false;
+    cancelGenerateButton.hidden = true;
+}
+
+/**
+ * Wires up the generator panel.
+ */
+function initPuzzles() {
+    randomSeedButton.addEventListener('click', fillRandomSeed);
+    generateButton.addEventListener('click', requestPuzzle);
+    cancelGenerateButton.addEventListener('click', cancelGeneration);
+}
@@ -0,0 +1,147 @@
+// Screenshot import: reads the grid from a screenshot chosen with the file picker or pasted
+// from the clipboard. Everything happens in the browser: the image is drawn on a canvas and
+// read by ocr.js against letter templates rendered here in common game fonts. Tiles the
+// reader is unsure about are highlighted until the player types over them.
+// Loaded before script.js, which calls initScreenshotImport() once the page is set up.
+
+// --- Configuration ---
+// Font families tried for the templates; families the device lacks fall back to sans-serif.
+// ocr-check.js bundles DejaVu Sans, Roboto and Nunito and renders its templates in those alone.
+const OCR_FONTS = ['Arial', 'Helvetica', 'Roboto', '"Helvetica Neue"', 'Verdana', '"Trebuchet MS"', 'Futura', '"Avenir Next"', '"Gill Sans"', '"Arial Rounded MT Bold"', 'Nunito', '"DejaVu Sans"', 'sans-serif'];
+const OCR_FONT_WEIGHTS = ['normal', 'bold'];
+const OCR_MULTI_LETTER_TILES = ['qu', 'th', 'in', 'er', 'he', 'an']; // Big Boggle's two-letter tiles, tried when multi-letter tiles are on
+const OCR_TEMPLATE_SIZE = 64; // px
+const OCR_MAX_IMAGE_SIDE = 1280; // Larger screenshots are scaled down first; tiles stay big enough to read
+
+// --- Global Variables ---
+let templateCache = null; // { key, templates } for the alphabet the templates were rendered for
+
+// --- DOM Elements ---
+const screenshotFileInput = document.getElementById('screenshotFile');
+
+// --- Templates ---
+/**
+ * Renders letter templates for every tile of an alphabet in each font and weight.
+ * The last set rendered is cached.
+ * @param {object} tileAlphabet From createAlphabet().
+ * @param {boolean} multiLetterTiles Whether to include OCR_MULTI_LETTER_TILES.
+ * @param {string[]} [fonts] Font families to render the templates in.
+ * @returns {{letter: string, glyph: Float32Array}[]}
+ */
+function renderLetterTemplates(tileAlphabet, multiLetterTiles, fonts = OCR_FONTS) {
+    const extraTiles = multiLetterTiles ? OCR_MULTI_LETTER_TILES.filter(tile => isAlphabetWord(tile, tileAlphabet)) : [];
+    const tiles = [...Array.from(tileAlphabet.letters), ...extraTiles];
+    const key = `${fonts.join(',')}|${tiles.join(',')}`;
+    if (templateCache && templateCache.key === key) return templateCache.templates;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = OCR_TEMPLATE_SIZE;
+    canvas.height = OCR_TEMPLATE_SIZE;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    const templates = [];
+    fonts.forEach(font => OCR_FONT_WEIGHTS.forEach(weight => tiles.forEach(tile => {
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, OCR_TEMPLATE_SIZE, OCR_TEMPLATE_SIZE);
+        context.fillStyle = '#000';
+        context.font = `${weight} ${Math.round(OCR_TEMPLATE_SIZE * 0.55)}px ${font}`;
+        const label = toDisplayCase(tile.slice(0, 1)) + tile.slice(1); // Multi-letter tiles read "Qu"
+        context.fillText(label, OCR_TEMPLATE_SIZE / 2, OCR_TEMPLATE_SIZE / 2);
+        const template = createLetterTemplate(context.getImageData(0, 0, OCR_TEMPLATE_SIZE, OCR_TEMPLATE_SIZE), tile);
+        if (template) templates.push(template);
+    })));
+    templateCache = { key, templates };
+    return templates;
+}
+
+// --- Screenshot Import ---
+/**
+ * Decodes an image file into pixels, scaled down to OCR_MAX_IMAGE_SIDE if needed.
+ * @param {Blob} blob
+ * @returns {Promise<ImageData>}
+ */
+async function readImageData(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, OCR_MAX_IMAGE_SIDE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Highlights the tiles the reader was unsure about, naming the letters it could also be.
+ * @param {{letter: string, alternatives: string[], unsure: boolean}[][]} tiles From recognizeGrid().
+ * @returns {number} The number of tiles highlighted.
+ */
+function markUnsureTiles(tiles) {
+    let count = 0;
+    tiles.forEach((row, r) => row.forEach(({ alternatives, unsure }, c) => {
+        const input = document.getElementById(`cell-${r}-${c}`);
+        input.classList.toggle('unsure', unsure);
+        input.title = unsure
+            ? `Not sure about this tile${alternatives.length > 0 ? `; it could also be ${alternatives.map(toDisplayCase).join(' or ')}` : ''}`
+            : '';
+        if (unsure) count++;
+    }));
+    return count;
+}
+
+/**
+ * Reads a grid of the current size from a screenshot and loads it.
+ * @param {Blob} blob An image file.
+ */
+async function importScreenshot(blob) {
+    updateStatus('Reading the screenshot...', 'loading');
+    const { rows, cols, multiLetterTiles } = settings;
+    let result;
+    try {
+        const image = await readImageData(blob);
+        result = recognizeGrid(image, { rows, cols, templates: renderLetterTemplates(alphabet, multiLetterTiles) });
+    } catch (error) {
+        updateStatus(`Could not read the screenshot: ${error.message}`, 'error');
+        return;
+    }
+    const grid = result.grid.map(row => row.map(tile => (tile === OCR_BLANK_TILE ? WILDCARD_TILE : tile)));
+    loadBoard(grid);
+    updateBoardHash(grid);
+    const unsureCount = markUnsureTiles(result.tiles);
+    if (unsureCount > 0) {
+        updateStatus(`Read the grid from the screenshot. Check the ${unsureCount} highlighted tile${unsureCount === 1 ? '' : 's'}: type over any that are wrong.`, 'info');
+    } else {
+        updateStatus('Read the grid from the screenshot. Give it a quick check before searching.', 'success');
+    }
+}
+
+/**
+ * Imports an image pasted anywhere on the page.
+ * @param {ClipboardEvent} e
+ */
+function handleScreenshotPaste(e) {
+    const item = Array.from(e.clipboardData ? e.clipboardData.items : []).find(entry => entry.kind === 'file' && entry.type.startsWith('image/'));
+    if (!item) return; // Text pastes go to the field as usual
+    e.preventDefault();
+    importScreenshot(item.getAsFile());
+}
+
+/**
+ * Wires up the screenshot file picker, pasting and the unsure-tile highlights.
+ */
+function initScreenshotImport() {
+    screenshotFileInput.addEventListener('change', () => {
+        const [file] = screenshotFileInput.files;
+        if (file) importScreenshot(file);
+        screenshotFileInput.value = ''; // Allow choosing the same file again
+    });
+    document.addEventListener('paste', handleScreenshotPaste);
+    // Typing over a tile counts as checking it
+    gridContainer.addEventListener('input', (e) => {
+        if (!e.target.classList.contains('unsure')) return;
+        e.target.classList.remove('unsure');
+        e.target.title = '';
+    });
+}
@@ -1,27 +1,76 @@
 // --- Configuration ---
-const GRID_SIZE = 4;
-const MIN_WORD_LENGTH = 4;
-const MAX_WORD_LENGTH = 8; // Added max length
-const DICTIONARY_FILE = 'words.txt'; // Assumed to be in the same directory
-
-// Define the 8 directions (including diagonals)
-const DIRECTIONS = [
-    [-1, -1], [-1, 0], [-1, 1],  // Up-Left, Up, Up-Right
-    [ 0, -1],          [ 0, 1],  // Left, Right
-    [ 1, -1], [ 1, 0], [ 1, 1]   // Down-Left, Down, Down-Right
-];
+const DEFAULT_SETTINGS = {
+    rows: 4,
+    cols: 4,
+    minWordLength: 4,
+    maxWordLength: 8,
+    multiLetterTiles: false, // Allow tiles like "Qu"; turns off auto-advance while typing
+    topology: 'square', // Which tiles are adjacent, see TOPOLOGIES in solver.js
+    language: DEFAULT_LANGUAGE, // Alphabet and dictionary, see LANGUAGES in alphabet.js
+    foldAccents: false // Fold accented letters into plain ones (é = e)
+};
+const MAX_GRID_DIMENSION = 10; // Keeps the input grid (and the search) manageable
+const MAX_WORD_LENGTH_LIMIT = 16;
+const MAX_TILE_LENGTH = 3; // Longest multi-letter tile
+// WILDCARD_TILE, a blank tile that can stand for any letter, comes from solver.js
+// The dictionary files (word list, precompiled index and word frequencies) are set per language in LANGUAGES
+const SOLVER_WORKER_FILE = 'solver-worker.js';
+const SERVICE_WORKER_FILE = 'service-worker.js';
+// How each board topology is explained in the instructions
+const TOPOLOGY_HINTS = {
+    square: '',
+    orthogonal: ' Words move up, down, left or right only (no diagonals).',
+    toroidal: ' The edges wrap around: tiles on opposite sides touch.',
+    hex: ' Tiles are hexagons: odd rows are shifted right and each tile touches six others.'
+};
 
 // --- Global Variables ---
-let wordSet = new Set();
-let prefixSet = new Set();
+let settings = { ...DEFAULT_SETTINGS }; // Current grid size and word-length range
+let alphabet = createAlphabet(settings.language, settings.foldAccents); // Letters tiles and words may use
 let dictionaryLoaded = false;
 let isLoading = false;
+let indexRequest = null; // { resolve } for the load request the worker is working on
+let lengthCounts = null; // lengthCounts[n] = number of dictionary words with n letters, from the index header
+let properLengthCounts = null; // Same, counting only the words flagged as proper nouns
+let extraWordCount = 0; // Words added by the active profile's lists
+let resolveAfterProfile = false; // Re-run the search once a profile change has been applied
+let reloadAfterLoad = false; // The language changed while the worker was busy loading
+let searchCounter = 0; // Incremented per search so messages from stale searches are ignored
+let activeSearch = null; // { id, grid, allFoundWords } while the worker is searching
+let lastSearchResults = new Map(); // Key: "row,col", Value: { word, paths }[] from the last search
+let lastWordResults = new Map(); // Key: word, Value: the same results merged across start cells, see collectWords()
+let lastSearchGrid = null; // The grid the last finished search ran on
+let pinnedResultWord = null; // Result element whose path stays highlighted after a click
+let pinnedPathIndex = 0;
+let lastCoverage = null; // Coverage analysis of the last search, see analyzeCoverage()
 
 // --- DOM Elements ---
 const gridContainer = document.getElementById('grid-container');
 const solveButton = document.getElementById('solveButton');
+const cancelButton = document.getElementById('cancelButton');
+const searchProgress = document.getElementById('searchProgress');
+const resultsPanel = document.getElementById('results-panel');
 const resultsDiv = document.getElementById('results');
+const groupByInput = document.getElementById('groupByInput');
+const sortByInput = document.getElementById('sortByInput');
+const filterInput = document.getElementById('filterInput');
+const likelyThresholdInput = document.getElementById('likelyThresholdInput');
+const likelyThresholdValue = document.getElementById('likelyThresholdValue');
 const statusDiv = document.getElementById('status');
+const instructionsText = document.getElementById('instructions');
+const rowsInput = document.getElementById('rowsInput');
+const colsInput = document.getElementById('colsInput');
+const minLengthInput = document.getElementById('minLengthInput');
+const maxLengthInput = document.getElementById('maxLengthInput');
+const multiLetterTilesInput = document.getElementById('multiLetterTilesInput');
+const topologyInput = document.getElementById('topologyInput');
+const languageInput = document.getElementById('languageInput');
+const foldAccentsInput = document.getElementById('foldAccentsInput');
+const coverageSection = document.getElementById('coverage-section');
+const coverageDiv = document.getElementById('coverage');
+const heatmapToggle = document.getElementById('heatmapToggle');
+const wordActionsDiv = document.getElementById('wordActions');
+const pinnedWordLabel = document.getElementById('pinnedWordLabel');
 
 // --- Helper Functions ---
 
@@ -36,17 +85,133 @@ function updateStatus(message, type = 'info') {
 }
 
 /**
- * Checks if coordinates are within the grid bounds.
- * @param {number} row
- * @param {number} col
- * @returns {boolean} True if valid, false otherwise.
+ * Escapes text typed or uploaded by the user (profile and file names) for use in HTML
+ * content or a quoted attribute.
+ * @param {string} text
+ * @returns {string}
  */
-function isValid(row, col) {
-    return row >= 0 && row < GRID_SIZE && col >= 0 && col < GRID_SIZE;
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
- * Asynchronously loads and processes the dictionary file.
+ * @returns {string | undefined} The current language's bundled word list, which also names its
+ *   results; undefined for languages whose words all come from profile lists.
+ */
+function getDictionaryFile() {
+    return LANGUAGES[settings.language].dictionary;
+}
+
+/**
+ * Updates the solve button label and the instructions to match the current settings.
+ */
+function updateSettingsLabels() {
+    const { rows, cols, minWordLength, maxWordLength } = settings;
+    const range = minWordLength === maxWordLength ? `${minWordLength}` : `${minWordLength}-${maxWordLength}`;
+    solveButton.textContent = `Find Words (${range} letters)`;
+    const tiles = settings.multiLetterTiles ? ' Multi-letter tiles like "Qu" are allowed (move on with Tab).' : '';
+    const extraLetters = Array.from(alphabet.letters).filter(letter => !/[a-z]/.test(letter));
+    let letters = extraLetters.length > 0 ? ` Letters include ${toDisplayCase(extraLetters.join(' '))}.` : '';
+    if (settings.foldAccents) letters += ' Other accented letters count as plain ones.';
+    instructionsText.textContent = `Enter the ${rows * cols} letters from the ${rows}x${cols} grid (top-left to bottom-right). Use ${WILDCARD_TILE} for a blank tile.${tiles}${letters}${TOPOLOGY_HINTS[settings.topology]}`;
+}
+
+/**
+ * Reads the settings controls, clamping each value into a usable range.
+ * The inputs are rewritten with the clamped values so the UI never shows an ignored setting.
+ * @returns {{rows: number, cols: number, minWordLength: number, maxWordLength: number, multiLetterTiles: boolean, topology: string,
+ *   language: string, foldAccents: boolean}}
+ */
+function readSettingsInputs() {
+    const clamp = (input, min, max, fallback) => {
+        const value = parseInt(input.value, 10);
+        const clamped = Number.isNaN(value) ? fallback : Math.min(max, Math.max(min, value));
+        input.value = clamped;
+        return clamped;
+    };
+
+    const rows = clamp(rowsInput, 1, MAX_GRID_DIMENSION, settings.rows);
+    const cols = clamp(colsInput, 1, MAX_GRID_DIMENSION, settings.cols);
+    const minWordLength = clamp(minLengthInput, 1, MAX_WORD_LENGTH_LIMIT, settings.minWordLength);
+    const maxWordLength = clamp(maxLengthInput, minWordLength, MAX_WORD_LENGTH_LIMIT, settings.maxWordLength);
+    const multiLetterTiles = multiLetterTilesInput.checked;
+    const topology = topologyInput.value in TOPOLOGY_HINTS ? topologyInput.value : DEFAULT_SETTINGS.topology;
+    topologyInput.value = topology;
+    const language = languageInput.value in LANGUAGES ? languageInput.value : DEFAULT_SETTINGS.language;
+    languageInput.value = language;
+    const foldAccents = foldAccentsInput.checked;
+    return { rows, cols, minWordLength, maxWordLength, multiLetterTiles, topology, language, foldAccents };
+}
+
+/**
+ * Applies changed settings: rebuilds the input grid if its shape or layout changed, clears
+ * results that no longer apply and reloads the dictionary for a new language or alphabet.
+ */
+function applySettings() {
+    const next = readSettingsInputs();
+    const gridChanged = next.rows !== settings.rows || next.cols !== settings.cols;
+    const topologyChanged = next.topology !== settings.topology;
+    const tilesChanged = next.multiLetterTiles !== settings.multiLetterTiles;
+    const lengthChanged = next.minWordLength !== settings.minWordLength || next.maxWordLength !== settings.maxWordLength;
+    const alphabetChanged = next.language !== settings.language || next.foldAccents !== settings.foldAccents;
+    settings = next;
+    alphabet = createAlphabet(settings.language, settings.foldAccents);
+    updateSettingsLabels();
+
+    if ((gridChanged || lengthChanged || topologyChanged || alphabetChanged) && activeSearch) {
+        cancelSearch();
+    }
+    if (alphabetChanged) {
+        clearResults();
+        reloadDictionary();
+    }
+    if (gridChanged || topologyChanged) {
+        generateGridInputs();
+        clearResults();
+    } else if (tilesChanged) {
+        generateGridInputs(); // Letters are kept; only the input limits change
+    }
+    if (lengthChanged && lengthCounts) {
+        clearResults();
+        reportDictionarySize();
+    }
+}
+
+// --- Solver Worker ---
+const solverWorker = new Worker(SOLVER_WORKER_FILE);
+
+/**
+ * Updates the status with the number of indexed words in the current length range.
+ * The index holds every word, so changing the range needs no re-indexing.
+ * @returns {boolean} True if at least one word is in range.
+ */
+function reportDictionarySize() {
+    const { minWordLength, maxWordLength } = settings;
+    const countInRange = counts => (counts || [])
+        .slice(minWordLength, maxWordLength + 1)
+        .reduce((sum, count) => sum + (count || 0), 0);
+    let wordCount = countInRange(lengthCounts);
+    if (getActiveProfile().dropProperNouns) {
+        wordCount -= countInRange(properLengthCounts);
+    }
+
+    if (wordCount === 0 && extraWordCount === 0 && !getDictionaryFile()) {
+        updateStatus(`There is no bundled ${LANGUAGES[settings.language].name} word list. Add one under "Dictionary profile" to solve these grids.`, 'info');
+    } else if (wordCount === 0 && extraWordCount === 0) {
+        console.warn(`Loaded dictionary, but found 0 words between length ${minWordLength} and ${maxWordLength}. Check ${getDictionaryFile()}.`);
+        updateStatus(`Dictionary loaded, but no valid words found (length ${minWordLength}-${maxWordLength}). Check format.`, 'error');
+    } else {
+        const extra = extraWordCount > 0 ? `, plus ${extraWordCount} from profile lists` : '';
+        updateStatus(`Dictionary loaded successfully (${wordCount} words of length ${minWordLength}-${maxWordLength}${extra}).`, 'success');
+    }
+    dictionaryLoaded = wordCount > 0 || extraWordCount > 0;
+    // Re-enable button only if the dictionary has words to find
+    solveButton.disabled = !dictionaryLoaded || activeSearch !== null;
+    return dictionaryLoaded;
+}
+
+/**
+ * Asynchronously loads the dictionary index in the worker.
  * @returns {Promise<boolean>} True if the dictionary was loaded successfully, false otherwise.
  */
 async function loadDictionary() {
@@ -54,193 +219,494 @@ async function loadDictionary() {
     if (isLoading) return false; // Prevent multiple loads
 
     isLoading = true;
-    updateStatus('Loading dictionary...', 'loading');
     solveButton.disabled = true;
-    console.log(`Attempting to load dictionary from: ${DICTIONARY_FILE}`);
+    const { name, dictionary, index, frequencies } = LANGUAGES[settings.language];
+    updateStatus(`Loading ${name} dictionary...`, 'loading');
+    if (dictionary) console.log(`Attempting to load dictionary from: ${index || dictionary} (fallback ${dictionary})`);
+    return new Promise(resolve => {
+        indexRequest = { resolve };
+        const { language, foldAccents } = settings;
+        solverWorker.postMessage({ type: 'load', language, foldAccents, indexUrl: index, url: dictionary, frequencyUrl: frequencies });
+    });
+}
 
-    try {
-        const response = await fetch(DICTIONARY_FILE);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status} - Could not fetch ${DICTIONARY_FILE}`);
-        }
-        const text = await response.text();
-        const words = text.split(/\r?\n/); // Split by lines, handling different line endings
-
-        wordSet = new Set();
-        prefixSet = new Set();
-        let loadedWordCount = 0;
-        let prefixCount = 0;
-
-        words.forEach(word => {
-            const cleanedWord = word.trim().toLowerCase();
-            // Filter words based on game rules/potential validity
-            if (cleanedWord.length >= MIN_WORD_LENGTH && cleanedWord.length <= MAX_WORD_LENGTH && /^[a-z]+$/.test(cleanedWord)) {
-                wordSet.add(cleanedWord);
-                loadedWordCount++;
-                // Add prefixes only for potentially valid words
-                for (let i = 1; i <= cleanedWord.length; i++) {
-                    const prefix = cleanedWord.substring(0, i);
-                    if (!prefixSet.has(prefix)) {
-                       prefixSet.add(prefix);
-                       prefixCount++;
-                   }
-                }
+/**
+ * Loads the dictionary again for a new language or alphabet setting. If the worker is
+ * still busy with the previous load, the reload waits for it to finish.
+ */
+function reloadDictionary() {
+    dictionaryLoaded = false;
+    lengthCounts = null; // Keeps profile changes from reaching the worker until the new index is in
+    properLengthCounts = null;
+    solveButton.disabled = true;
+    if (isLoading) {
+        reloadAfterLoad = true;
+    } else {
+        loadDictionary();
+    }
+}
+
+/**
+ * Sends a dictionary profile to the worker. Searching is blocked until it has been applied.
+ * @param {object} profile See profiles.js.
+ */
+function applyDictionaryProfile(profile) {
+    if (!lengthCounts) return; // Not loaded yet; the profile is sent once the index is in
+    if (activeSearch) cancelSearch();
+    resolveAfterProfile = resolveAfterProfile || lastSearchResults.size > 0;
+    isLoading = true;
+    solveButton.disabled = true;
+    updateStatus('Applying dictionary profile...', 'loading');
+    const { dropProperNouns, lists, accepted, rejected } = profile;
+    solverWorker.postMessage({ type: 'profile', dropProperNouns, lists, accepted, rejected });
+}
+
+/**
+ * Finishes the pending load request.
+ * @param {boolean} loaded Whether a usable dictionary is now indexed.
+ */
+function finishIndexRequest(loaded) {
+    isLoading = false;
+    if (indexRequest) {
+        indexRequest.resolve(loaded);
+        indexRequest = null;
+    }
+    if (reloadAfterLoad) {
+        reloadAfterLoad = false;
+        reloadDictionary();
+    }
+}
+
+/**
+ * Handles messages from the solver worker.
+ * @param {MessageEvent} e
+ */
+function handleWorkerMessage(e) {
+    const message = e.data;
+    switch (message.type) {
+        case 'indexed':
+            lengthCounts = message.lengthCounts;
+            properLengthCounts = message.properLengthCounts;
+            console.log(`Dictionary index loaded (${message.source}): ${message.wordCount} words, ${message.frequencyCount} with a known frequency.`);
+            applyDictionaryProfile(getActiveProfile()); // Loading finishes once the profile is applied
+            break;
+        case 'profileApplied':
+            extraWordCount = message.extraWordCount;
+            finishIndexRequest(reportDictionarySize());
+            if (resolveAfterProfile && dictionaryLoaded) solve();
+            resolveAfterProfile = false;
+            break;
+        case 'progress':
+            if (activeSearch && message.id === activeSearch.id) handleSearchProgress(message);
+            break;
+        case 'done':
+            if (activeSearch && message.id === activeSearch.id) finishSearch(false);
+            break;
+        case 'cancelled':
+            // Already handled on the page side by cancelSearch()
+            break;
+        case 'generated':
+            handleGeneratedPuzzle(message);
+            break;
+        case 'error':
+            if (message.scope === 'generate') {
+                handleGenerateError(message);
+                break;
             }
-            // Also add shorter prefixes from longer words (important for pruning)
-            else if (cleanedWord.length > MAX_WORD_LENGTH && /^[a-z]+$/.test(cleanedWord)) {
-                for (let i = 1; i <= MAX_WORD_LENGTH; i++) {
-                    const prefix = cleanedWord.substring(0, i);
-                   if (!prefixSet.has(prefix)) {
-                      prefixSet.add(prefix);
-                      prefixCount++;
-                  }
-                }
+            if (message.scope === 'profile') {
+                // The base dictionary is still usable
+                updateStatus(message.message, 'error');
+                isLoading = false;
+                resolveAfterProfile = false;
+                solveButton.disabled = !dictionaryLoaded;
+                finishIndexRequest(dictionaryLoaded);
+                break;
             }
-            // Add single/short letter prefixes too
-            else if (cleanedWord.length > 0 && cleanedWord.length < MIN_WORD_LENGTH && /^[a-z]+$/.test(cleanedWord)) {
-                for (let i = 1; i <= cleanedWord.length; i++) {
-                    const prefix = cleanedWord.substring(0, i);
-                     if (!prefixSet.has(prefix)) {
-                        prefixSet.add(prefix);
-                        prefixCount++;
-                    }
+            if (message.id !== undefined) {
+                if (activeSearch && message.id === activeSearch.id) {
+                    finishSearch(true);
+                    updateStatus(`Search failed: ${message.message}`, 'error');
                 }
+                break;
             }
-        });
+            console.error('Error loading dictionary:', message.message);
+            updateStatus(`Error loading dictionary: ${message.message}. Ensure '${getDictionaryFile()}' exists and is accessible.`, 'error');
+            dictionaryLoaded = false;
+            solveButton.disabled = true;
+            finishIndexRequest(false);
+            break;
+    }
+}
 
-        if (wordSet.size === 0) {
-             console.warn(`Loaded dictionary, but found 0 words between length ${MIN_WORD_LENGTH} and ${MAX_WORD_LENGTH}. Check ${DICTIONARY_FILE}.`);
-             updateStatus(`Dictionary loaded, but no valid words found (length ${MIN_WORD_LENGTH}-${MAX_WORD_LENGTH}). Check format.`, 'error');
-        } else {
-            console.log(`Dictionary loaded: ${loadedWordCount} valid words (length ${MIN_WORD_LENGTH}-${MAX_WORD_LENGTH}), ${prefixCount} prefixes generated.`);
-            updateStatus('Dictionary loaded successfully.', 'success');
-            dictionaryLoaded = true;
-        }
-        return true;
-
-    } catch (error) {
-        console.error('Error loading dictionary:', error);
-        updateStatus(`Error loading dictionary: ${error instanceof Error ? error.message : String(error)}. Ensure 'words.txt' exists and is accessible.`, 'error');
-        dictionaryLoaded = false;
-        return false;
-    } finally {
-        isLoading = false;
-        // Re-enable button only if dictionary loaded successfully
+/**
+ * Handles an error the solver worker did not catch itself, such as its script failing
+ * to load, so the page isn't left waiting for a reply that will never come.
+ * @param {ErrorEvent} e
+ */
+function handleWorkerError(e) {
+    const message = e.message || 'the solver stopped unexpectedly';
+    console.error('Solver worker error:', message);
+    if (activeSearch) {
+        finishSearch(true);
+        updateStatus(`Search failed: ${message}`, 'error');
+    }
+    if (pendingGenerationId !== null) handleGenerateError({ id: pendingGenerationId, message });
+    if (isLoading) {
+        updateStatus(`Error loading dictionary: ${message}`, 'error');
+        resolveAfterProfile = false;
         solveButton.disabled = !dictionaryLoaded;
+        finishIndexRequest(dictionaryLoaded);
     }
 }
 
 /**
- * Reads the letters from the input grid elements.
+ * Reads the tiles from the input grid elements.
+ * A tile is a single letter, a multi-letter tile such as "qu" (when enabled), or WILDCARD_TILE.
  * @returns {string[][] | null} A 2D array representing the grid, or null if input is invalid.
  */
 function getGridLetters() {
-    const grid = Array.from({ length: GRID_SIZE }, () => Array(GRID_SIZE).fill(''));
+    const { rows, cols } = settings;
+    const grid = Array.from({ length: rows }, () => Array(cols).fill(''));
     const inputs = gridContainer.querySelectorAll('.grid-input'); // NodeListOf<HTMLInputElement> in TS
     const letters = [];
 
-    if (inputs.length !== GRID_SIZE * GRID_SIZE) {
+    if (inputs.length !== rows * cols) {
         console.error("Incorrect number of input fields found.");
         return null; // Should not happen if generateGridInputs works
     }
 
     inputs.forEach(input => {
         // Ensure we treat input as an HTMLInputElement
-        letters.push(input.value.trim().toLowerCase());
+        letters.push(normalizeText(input.value.trim(), alphabet));
     });
 
     // Validate input
-     if (letters.some(letter => letter.length !== 1 || !/^[a-z]$/.test(letter))) {
-         updateStatus('Please fill all grid cells with single letters.', 'error');
-         return null;
-     }
+    const maxLetters = settings.multiLetterTiles ? MAX_TILE_LENGTH : 1;
+    if (letters.some(letter => letter !== WILDCARD_TILE && !(isAlphabetWord(letter, alphabet) && Array.from(letter).length <= maxLetters))) {
+        const allowed = settings.multiLetterTiles ? `1-${MAX_TILE_LENGTH} letters` : 'single letters';
+        updateStatus(`Please fill all grid cells with ${allowed} or '${WILDCARD_TILE}' for a blank tile.`, 'error');
+        return null;
+    }
 
     // Populate the 2D grid
-    for (let r = 0; r < GRID_SIZE; r++) {
-        for (let c = 0; c < GRID_SIZE; c++) {
-            grid[r][c] = letters[r * GRID_SIZE + c];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            grid[r][c] = letters[r * cols + c];
         }
     }
     return grid;
 }
 
+/**
+ * Loads a board into the input grid, resizing it and applying any settings given.
+ * Used for shared links and pasted grids. Previous results are cleared.
+ * @param {string[][]} grid Tiles, lowercase; at most MAX_GRID_DIMENSION in each direction.
+ * @param {{minWordLength?: number, maxWordLength?: number, multiLetterTiles?: boolean, topology?: string,
+ *   language?: string, foldAccents?: boolean}} [options]
+ */
+function loadBoard(grid, options = {}) {
+    if (activeSearch) cancelSearch();
+    const hasMultiLetterTiles = grid.some(row => row.some(tile => tile.length > 1));
+    rowsInput.value = grid.length;
+    colsInput.value = grid[0].length;
+    if (options.minWordLength !== undefined) minLengthInput.value = options.minWordLength;
+    if (options.maxWordLength !== undefined) maxLengthInput.value = options.maxWordLength;
+    multiLetterTilesInput.checked = hasMultiLetterTiles || (options.multiLetterTiles ?? settings.multiLetterTiles);
+    if (options.topology !== undefined) topologyInput.value = options.topology;
+    if (options.language !== undefined) languageInput.value = options.language;
+    if (options.foldAccents !== undefined) foldAccentsInput.checked = options.foldAccents;
+    applySettings();
+
+    grid.forEach((row, r) => row.forEach((tile, c) => {
+        const input = document.getElementById(`cell-${r}-${c}`);
+        input.value = toDisplayCase(tile);
+        input.classList.toggle('multi-letter', tile.length > 1);
+    }));
+    clearResults();
+}
+
 
-// --- Core DFS Search Function ---
+// --- Path Highlighting ---
 /**
- * Performs Depth First Search starting from a specific cell to find valid words.
- * @param {number} startRow The starting row index.
- * @param {number} startCol The starting column index.
- * @param {string[][]} grid The 2D array representing the letter grid.
- * @returns {string[]} A sorted array of found words starting from this cell.
+ * Removes any path highlight from the grid inputs.
  */
-function findWordsFromCell(startRow, startCol, grid) {
-    const foundWords = new Set();
-    // Stack stores: [row, col, currentWord, visitedSet]
-    // VisitedSet stores "row,col" strings
-    const stack = [];
+function clearPathHighlight() {
+    gridContainer.querySelectorAll('.grid-input').forEach(input => {
+        input.classList.remove('path-cell', 'path-start');
+        input.style.removeProperty('--path-step');
+    });
+}
 
-    const startChar = grid[startRow][startCol];
+/**
+ * Highlights a path on the grid, animating the cells in the order they are visited.
+ * @param {number[][]} path Ordered list of [row, col] cells.
+ */
+function highlightPath(path) {
+    clearPathHighlight();
+    path.forEach(([r, c], step) => {
+        const input = document.getElementById(`cell-${r}-${c}`);
+        if (!input) return; // Grid was resized since the search
+        input.style.setProperty('--path-step', step);
+        input.classList.add('path-cell');
+        if (step === 0) input.classList.add('path-start');
+    });
+}
 
-    // Optimization: Only start DFS if the first letter is a known prefix
-    if (prefixSet.has(startChar)) {
-        const initialVisited = new Set();
-        initialVisited.add(`${startRow},${startCol}`);
-        stack.push([startRow, startCol, startChar, initialVisited]);
+/**
+ * Looks up the paths for a result word element rendered by `displayResults()`.
+ * @param {HTMLElement} element A `.result-word` element.
+ * @returns {number[][][]} The paths for that word, from every start cell.
+ */
+function getResultPaths(element) {
+    // Minimum-cover entries refer to one specific path rather than every path from a start cell
+    if (element.dataset.coverIndex !== undefined) {
+        const entry = lastCoverage && lastCoverage.cover[Number(element.dataset.coverIndex)];
+        return entry ? [entry.path] : [];
     }
+    const entry = lastWordResults.get(element.dataset.word);
+    return entry ? entry.paths : [];
+}
 
-    while (stack.length > 0) {
-        // No non-null assertion needed in JS, but logic ensures it's safe if stack has length
-        const [row, col, currentWord, visited] = stack.pop();
+/**
+ * Looks up which letters the wildcard tiles stood for, per path, for a result word element.
+ * @param {HTMLElement} element A `.result-word` element.
+ * @returns {number[][][]} For each path, the [row, col, letter] of its wildcard tiles.
+ */
+function getResultWildcards(element) {
+    if (element.dataset.coverIndex !== undefined) {
+        const entry = lastCoverage && lastCoverage.cover[Number(element.dataset.coverIndex)];
+        return entry ? [entry.wildcards || []] : [];
+    }
+    const entry = lastWordResults.get(element.dataset.word);
+    return entry ? entry.wildcards : [];
+}
 
-        const currentLen = currentWord.length;
+/**
+ * Handles clicks in the results: clicking a word pins its path on the grid,
+ * clicking it again cycles through the other ways it can be traced.
+ * @param {MouseEvent} e
+ */
+function handleResultClick(e) {
+    const element = e.target.closest('.result-word');
+    if (!element) return;
+    const paths = getResultPaths(element);
+    if (paths.length === 0) return;
+
+    if (pinnedResultWord === element) {
+        pinnedPathIndex = (pinnedPathIndex + 1) % paths.length;
+    } else {
+        if (pinnedResultWord) pinnedResultWord.classList.remove('pinned');
+        pinnedResultWord = element;
+        pinnedPathIndex = 0;
+        element.classList.add('pinned');
+    }
+    highlightPath(paths[pinnedPathIndex]);
+    pinnedWordLabel.textContent = element.dataset.word.toUpperCase();
+    wordActionsDiv.hidden = false;
+    const cells = paths[pinnedPathIndex].map(([r, c]) => `(${r},${c})`).join(' → ');
+    const wildcards = getResultWildcards(element)[pinnedPathIndex] || [];
+    const blanks = wildcards.map(([r, c, letter]) => `, ${WILDCARD_TILE} at (${r},${c}) = ${letter.toUpperCase()}`).join('');
+    updateStatus(`${element.dataset.word.toUpperCase()}: path ${pinnedPathIndex + 1} of ${paths.length} ${cells}${blanks}`, 'info');
+}
+
+/**
+ * Shows a word's path while hovering it, unless another word's path is pinned.
+ * @param {MouseEvent} e
+ */
+function handleResultHover(e) {
+    const element = e.target.closest('.result-word');
+    if (!element || pinnedResultWord) return;
+    const paths = getResultPaths(element);
+    if (paths.length > 0) highlightPath(paths[0]);
+}
+
+/**
+ * Clears the hover highlight when the pointer leaves a word, unless a path is pinned.
+ * @param {MouseEvent} e
+ */
+function handleResultHoverEnd(e) {
+    if (!e.target.closest('.result-word') || pinnedResultWord) return;
+    clearPathHighlight();
+}
+
+/**
+ * Forgets the pinned path, e.g. when the results are replaced.
+ */
+function resetPinnedPath() {
+    pinnedResultWord = null;
+    pinnedPathIndex = 0;
+    wordActionsDiv.hidden = true;
+    clearPathHighlight();
+}
+
+/**
+ * Records the pinned word on the active profile's accepted or rejected list, or marks it
+ * as played in the solve history.
+ * @param {MouseEvent} e Click on a button carrying a `data-list` attribute.
+ */
+function handleWordAction(e) {
+    const button = e.target.closest('button[data-list]');
+    if (!button || !pinnedResultWord) return;
+    if (button.dataset.list === 'played') {
+        markWordPlayed(pinnedResultWord.dataset.word);
+    } else {
+        addToPersonalList(pinnedResultWord.dataset.word, button.dataset.list);
+    }
+}
+
+/**
+ * Clears the results, the coverage analysis and any highlight on the grid.
+ */
+function clearResults() {
+    resultsDiv.innerHTML = '';
+    coverageDiv.innerHTML = '';
+    clearHints();
+    clearRound();
+    lastSearchResults = new Map();
+    lastWordResults = new Map();
+    lastSearchGrid = null;
+    lastCoverage = null;
+    resetPinnedPath();
+    updateHeatmap();
+}
+
+// --- Tile Coverage Analysis ---
+/**
+ * Analyses how well the found words cover the grid, for "use every tile" rules.
+ * Each word may be entered once, and entering it turns the tiles of one path,
+ * so the cover is built from (word, path) pairs with each word used at most once.
+ * The cover is picked greedily (most new tiles first), which is not guaranteed
+ * to be the true minimum but is close in practice and fast.
+ * @param {Map<string, {word: string, paths: number[][][]}[]>} allFoundWords Results keyed by "row,col" start cell.
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {{counts: number[][], unreachable: number[][], cover: {word: string, path: number[][], wildcards: number[][]}[]}}
+ *   `counts[r][c]` is the number of distinct found words that can use that cell,
+ *   `unreachable` lists [row, col] cells no found word passes through.
+ */
+function analyzeCoverage(allFoundWords, rows, cols) {
+    const counts = Array.from({ length: rows }, () => Array(cols).fill(0));
+    const candidates = []; // { word, path, cells: Set of cell indexes }
 
-        // Check if the current path forms a valid word within length constraints
-        if (currentLen >= MIN_WORD_LENGTH && currentLen <= MAX_WORD_LENGTH && wordSet.has(currentWord)) {
-            foundWords.add(currentWord);
+    allFoundWords.forEach(words => {
+        words.forEach(({ word, paths, wildcards }) => {
+            const usedCells = new Set();
+            paths.forEach((path, i) => {
+                const cells = new Set(path.map(([r, c]) => r * cols + c));
+                cells.forEach(cell => usedCells.add(cell));
+                candidates.push({ word, path, wildcards: wildcards ? wildcards[i] : [], cells });
+            });
+            usedCells.forEach(cell => counts[Math.floor(cell / cols)][cell % cols]++);
+        });
+    });
+
+    const unreachable = [];
+    const uncovered = new Set();
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (counts[r][c] === 0) {
+                unreachable.push([r, c]);
+            } else {
+                uncovered.add(r * cols + c);
+            }
         }
+    }
 
-        // Explore neighbors only if the word can still grow within MAX_WORD_LENGTH
-        if (currentLen < MAX_WORD_LENGTH) {
-            for (const [dr, dc] of DIRECTIONS) {
-                const nextRow = row + dr;
-                const nextCol = col + dc;
-                const nextPosString = `${nextRow},${nextCol}`;
-
-                // Check if the neighbor is valid and not already visited in this path
-                if (isValid(nextRow, nextCol) && !visited.has(nextPosString)) {
-                    const nextChar = grid[nextRow][nextCol];
-                    const nextWord = currentWord + nextChar;
-
-                    // --- Crucial Pruning Step ---
-                    // Only continue if the new word forms a valid prefix
-                    if (prefixSet.has(nextWord)) {
-                        const newVisited = new Set(visited); // Clone the visited set for the new path
-                        newVisited.add(nextPosString);
-                        stack.push([nextRow, nextCol, nextWord, newVisited]);
-                    }
-                }
+    // Greedy set cover over the reachable cells
+    const cover = [];
+    const usedWords = new Set();
+    while (uncovered.size > 0) {
+        let best = null;
+        let bestGain = 0;
+        for (const candidate of candidates) {
+            if (usedWords.has(candidate.word)) continue;
+            let gain = 0;
+            candidate.cells.forEach(cell => { if (uncovered.has(cell)) gain++; });
+            // Prefer more new tiles, then shorter words (less typing)
+            if (gain > bestGain || (gain === bestGain && gain > 0 && candidate.word.length < best.word.length)) {
+                best = candidate;
+                bestGain = gain;
             }
-       }
+        }
+        if (!best) break; // Should not happen: every reachable cell has a word through it
+        cover.push({ word: best.word, path: best.path, wildcards: best.wildcards });
+        usedWords.add(best.word);
+        best.cells.forEach(cell => uncovered.delete(cell));
     }
 
-    return Array.from(foundWords).sort(); // Return sorted list
+    return { counts, unreachable, cover };
+}
+
+/**
+ * Renders the coverage summary and the minimum cover list.
+ * @param {{counts: number[][], unreachable: number[][], cover: {word: string, path: number[][]}[]}} coverage
+ * @param {string[][]} grid The letters that were searched.
+ */
+function displayCoverage(coverage, grid) {
+    const { unreachable, cover } = coverage;
+    const cellCount = grid.length * grid[0].length;
+    let html = '';
+
+    if (cover.length === 0) {
+        coverageDiv.textContent = 'No words found, so no tiles can be covered.';
+        updateHeatmap();
+        return;
+    }
+
+    if (unreachable.length === 0) {
+        html += `<p>Every tile can be used. Minimum cover: ${cover.length} word(s).</p>`;
+    } else {
+        const cells = unreachable.map(([r, c]) => `(${r},${c}) '${grid[r][c].toUpperCase()}'`).join(', ');
+        html += `<p class="error">${unreachable.length} of ${cellCount} tile(s) are not used by any word: ${cells}</p>`;
+        html += `<p>Cover of the remaining tiles: ${cover.length} word(s).</p>`;
+    }
+
+    const items = cover.map(({ word }, index) =>
+        `<li><span class="result-word" data-cover-index="${index}" data-word="${word}">${word}</span></li>`);
+    html += `<ol class="cover-list">${items.join('')}</ol>`;
+    coverageDiv.innerHTML = html;
+    updateHeatmap();
+}
+
+/**
+ * Shows or hides the coverage heatmap on the grid inputs, following the heatmap checkbox.
+ * Cell shading is relative to the most-used cell; unreachable cells are flagged.
+ */
+function updateHeatmap() {
+    const show = heatmapToggle.checked && lastCoverage !== null;
+    const maxCount = show ? Math.max(1, ...lastCoverage.counts.flat()) : 1;
+
+    gridContainer.querySelectorAll('.grid-input').forEach(input => {
+        const [, r, c] = input.id.split('-').map(Number);
+        const count = show && lastCoverage.counts[r] ? lastCoverage.counts[r][c] : undefined;
+        if (count === undefined) {
+            input.classList.remove('heatmap', 'unreachable');
+            input.style.removeProperty('--heat');
+            input.removeAttribute('title');
+            return;
+        }
+        input.classList.add('heatmap');
+        input.classList.toggle('unreachable', count === 0);
+        input.style.setProperty('--heat', (count / maxCount).toFixed(2));
+        input.title = `Used by ${count} word(s)`;
+    });
 }
 
 // --- Main Solver Function ---
 /**
  * Initiates the word search process based on the grid input.
+ * The search runs in the worker; results are shown as they stream in.
  */
 function solve() {
-    if (!dictionaryLoaded) {
-        updateStatus('Dictionary not loaded. Please wait or check errors.', 'error');
-        // Optionally, trigger dictionary load again here:
-        // loadDictionary().then(loaded => { if(loaded) solve(); });
-        return;
-    }
     if (isLoading) {
         updateStatus('Dictionary is currently loading...', 'loading');
         return;
     }
+    if (!dictionaryLoaded) {
+        updateStatus('Dictionary not loaded. Please wait or check errors.', 'error');
+        return;
+    }
+    if (activeSearch) return; // Button is disabled while searching
 
     const grid = getGridLetters();
     if (!grid) {
@@ -248,74 +714,330 @@ function solve() {
         return;
     }
 
-    updateStatus('Searching for words...', 'loading');
+    clearResults();
+    updateBoardHash(grid); // Keep the address bar shareable
+    activeSearch = { id: ++searchCounter, grid, allFoundWords: new Map() };
     solveButton.disabled = true; // Disable button during search
-    resultsDiv.innerHTML = ''; // Clear previous results
-
-    // Use setTimeout to allow the UI to update ("Searching...") before blocking
-    setTimeout(() => {
-        const allFoundWords = new Map(); // Key: "row,col", Value: words[]
-        let uniqueWords = new Set();
-        let totalInstances = 0;
-
-        for (let r = 0; r < GRID_SIZE; r++) {
-            for (let c = 0; c < GRID_SIZE; c++) {
-                const words = findWordsFromCell(r, c, grid);
-                if (words.length > 0) {
-                    const key = `${r},${c}`;
-                    allFoundWords.set(key, words);
-                    words.forEach(word => uniqueWords.add(word));
-                    totalInstances += words.length;
-                }
-            }
+    cancelButton.hidden = false;
+    searchProgress.hidden = false;
+    searchProgress.max = grid.length * grid[0].length;
+    searchProgress.value = 0;
+    updateStatus('Searching for words...', 'loading');
+
+    const { minWordLength, maxWordLength, topology } = settings;
+    solverWorker.postMessage({ type: 'solve', id: activeSearch.id, grid, minWordLength, maxWordLength, topology });
+}
+
+/**
+ * Merges a batch of streamed hits into the running search and refreshes the results.
+ * @param {{hits: {word: string, path: number[][], sources: string[], wildcards: Array[]}[], cellsDone: number, cellCount: number, currentCell: number[] | null}} message
+ */
+function handleSearchProgress({ hits, cellsDone, cellCount, currentCell }) {
+    const { grid, allFoundWords } = activeSearch;
+
+    hits.forEach(({ word, path, sources, wildcards, commonness }) => {
+        const key = `${path[0][0]},${path[0][1]}`;
+        if (!allFoundWords.has(key)) allFoundWords.set(key, []);
+        const words = allFoundWords.get(key);
+        let entry = words.find(result => result.word === word);
+        if (!entry) {
+            entry = { word, paths: [], sources, wildcards: [], commonness };
+            words.push(entry);
         }
+        entry.paths.push(path);
+        entry.wildcards.push(wildcards); // Parallel to paths: the letters wildcard tiles stood for
+    });
+
+    searchProgress.value = cellsDone;
+    markSearchingCell(currentCell);
+    if (currentCell) {
+        const [r, c] = currentCell;
+        updateStatus(`Searching for words... cell ${cellsDone + 1} of ${cellCount} (${r},${c}) '${grid[r][c].toUpperCase()}'`, 'loading');
+    }
+    if (hits.length > 0) displayResults(allFoundWords, grid);
+}
+
+/**
+ * Stops the running search. Words found so far stay in the results.
+ */
+function cancelSearch() {
+    if (!activeSearch) return;
+    solverWorker.postMessage({ type: 'cancel', id: activeSearch.id });
+    finishSearch(true);
+}
+
+/**
+ * Wraps up the running search: shows the final results and the coverage analysis.
+ * @param {boolean} cancelled Whether the search stopped before every cell was searched.
+ */
+function finishSearch(cancelled) {
+    const { grid, allFoundWords } = activeSearch;
+    activeSearch = null;
+    cancelButton.hidden = true;
+    searchProgress.hidden = true;
+    markSearchingCell(null);
+    solveButton.disabled = !dictionaryLoaded; // Re-enable button
+
+    const uniqueCount = displayResults(allFoundWords, grid);
+    lastSearchResults = allFoundWords;
+    lastSearchGrid = grid;
+    lastCoverage = analyzeCoverage(allFoundWords, grid.length, grid[0].length);
+    displayCoverage(lastCoverage, grid);
+    startHints(allFoundWords, grid);
+    if (!cancelled) recordSolve(allFoundWords, grid); // Partial results would skew the stats
+
+    if (cancelled) {
+        updateStatus(`Search cancelled. Showing ${uniqueCount} unique words found so far.`, 'info');
+    } else {
+        updateStatus(`Search complete. Found ${uniqueCount} unique words.`, 'success');
+    }
+    resumePendingRound(cancelled);
+}
 
-        // --- Display Results ---
-        if (allFoundWords.size === 0) {
-            resultsDiv.textContent = 'No words found.';
+/**
+ * Marks the grid cell the worker is currently searching from.
+ * @param {number[] | null} cell [row, col], or null to clear the mark.
+ */
+function markSearchingCell(cell) {
+    gridContainer.querySelectorAll('.grid-input.searching').forEach(input => input.classList.remove('searching'));
+    if (!cell) return;
+    const input = document.getElementById(`cell-${cell[0]}-${cell[1]}`);
+    if (input) input.classList.add('searching');
+}
+
+/**
+ * Spells out a word along a path, marking the letters that wildcard tiles stood for.
+ * @param {number[][]} path Ordered list of [row, col] cells.
+ * @param {number[][]} wildcards The [row, col, letter] of the wildcard tiles on the path.
+ * @param {string[][]} grid The tiles that were searched.
+ * @returns {string} HTML.
+ */
+function formatWordTiles(path, wildcards, grid) {
+    const blanks = new Map((wildcards || []).map(([r, c, letter]) => [`${r},${c}`, letter]));
+    return path.map(([r, c]) => {
+        const letter = blanks.get(`${r},${c}`);
+        return letter === undefined ? grid[r][c] : `<span class="wildcard-letter">${letter}</span>`;
+    }).join('');
+}
+
+/**
+ * Summarises which dictionaries the found words came from, when profile lists contributed any.
+ * @param {{word: string, sources: string[]}[]} words Deduplicated results, see collectWords().
+ * @returns {string} HTML, or an empty string if every word came from the base dictionary.
+ */
+function describeSources(words) {
+    const wordCountBySource = new Map(); // Key: source name, Value: number of words
+    words.forEach(({ sources }) => {
+        sources.forEach(source => wordCountBySource.set(source, (wordCountBySource.get(source) || 0) + 1));
+    });
+    const baseDictionary = getDictionaryFile();
+    if (Array.from(wordCountBySource.keys()).every(source => source === baseDictionary)) return '';
+
+    const parts = Array.from(wordCountBySource.entries()).map(([source, count]) => `${escapeHtml(source)}: ${count}`);
+    const highlight = baseDictionary ? ` <span class="from-profile">Highlighted</span> words are not in ${baseDictionary}.` : '';
+    return `<p>Sources (profile "${escapeHtml(profileStore.active)}"): ${parts.join(', ')}.${highlight}</p>`;
+}
+
+// --- Results Panel ---
+/**
+ * Merges the results from every start cell, so each word appears once with all of its paths.
+ * @param {Map<string, {word: string, paths: number[][][], sources: string[], wildcards: Array[], commonness: number}[]>} allFoundWords Results keyed by "row,col" start cell.
+ * @returns {Map<string, {word: string, paths: number[][][], sources: string[], wildcards: Array[], commonness: number}>} Keyed by word.
+ */
+function collectWords(allFoundWords) {
+    const words = new Map();
+    Array.from(allFoundWords.keys()).sort().forEach(key => {
+        allFoundWords.get(key).forEach(({ word, paths, sources, wildcards, commonness }) => {
+            const entry = words.get(word);
+            if (entry) {
+                entry.paths.push(...paths);
+                entry.wildcards.push(...wildcards);
+                entry.sources = Array.from(new Set([...entry.sources, ...sources]));
+            } else {
+                words.set(word, { word, paths: [...paths], sources: [...sources], wildcards: [...wildcards], commonness });
+            }
+        });
+    });
+    return words;
+}
+
+/**
+ * Reads the results filter, keeping only letters and the pattern characters '?' and '*'.
+ * @returns {string}
+ */
+function readResultsFilter() {
+    const text = normalizeText(filterInput.value, alphabet);
+    return Array.from(text).filter(char => char === '?' || char === '*' || alphabet.letterSet.has(char)).join('');
+}
+
+/**
+ * Builds a predicate for the results filter. A filter containing '?' (one letter) or
+ * '*' (any letters) is a pattern that must match the whole word, e.g. "s??re*";
+ * anything else matches as a substring.
+ * @param {string} filter Cleaned by readResultsFilter().
+ * @returns {function(string): boolean}
+ */
+function buildWordFilter(filter) {
+    if (!filter) return () => true;
+    if (!/[?*]/.test(filter)) return word => word.includes(filter);
+    const pattern = new RegExp(`^${filter.replace(/\?/g, '.').replace(/\*/g, '.*')}$`);
+    return word => pattern.test(word);
+}
+
+/**
+ * Orders results by the chosen sort, falling back to alphabetical order.
+ * @param {string} sortBy 'alphabet', 'length' or 'commonness'.
+ * @returns {function(object, object): number}
+ */
+function compareResults(sortBy) {
+    return (a, b) => {
+        let order = 0;
+        if (sortBy === 'length') order = a.word.length - b.word.length;
+        if (sortBy === 'commonness') order = b.commonness - a.commonness;
+        return order || a.word.localeCompare(b.word);
+    };
+}
+
+/**
+ * Renders words grouped by the "group by" control, keeping their order within each group.
+ * @param {{word: string, paths: number[][][], sources: string[], wildcards: Array[], commonness: number}[]} words
+ * @param {string[][]} grid The letters that were searched.
+ * @returns {string} HTML.
+ */
+function renderWordGroups(words, grid) {
+    const groupBy = groupByInput.value;
+    const groups = new Map(); // Key: group label, Value: HTML of its words
+    words.forEach(({ word, paths, sources, wildcards, commonness }) => {
+        let label = 'All words';
+        if (groupBy === 'length') label = `${word.length} letters`;
+        if (groupBy === 'letter') label = word[0].toUpperCase();
+        const starts = new Set(paths.map(([[r, c]]) => `${r},${c}`)).size;
+        // Scores below 1 come from letters alone (see wordscore.js)
+        const frequency = commonness >= 1 ? `commonness ${commonness.toFixed(1)}` : 'not in the frequency list';
+        const title = `${paths.length === 1 ? '1 path' : `${paths.length} paths`}${starts > 1 ? ` from ${starts} start cells` : ''} · ${frequency} · from ${sources.join(', ')}`;
+        // Words missing from the base dictionary came only from profile lists (all of them when there is none)
+        const extraClass = !getDictionaryFile() || sources.includes(getDictionaryFile()) ? '' : ' from-profile';
+        const tiles = formatWordTiles(paths[0], wildcards[0], grid);
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(`<span class="result-word${extraClass}" data-word="${word}" title="${escapeHtml(title)}">${tiles}</span>`);
+    });
+
+    // Groups follow the sort order unless the grouping implies its own
+    const labels = Array.from(groups.keys());
+    if (groupBy === 'length') labels.sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+    if (groupBy === 'letter') labels.sort();
+    return labels.map(label => {
+        const groupWords = groups.get(label);
+        return `<p><span class="group-label">${label} (${groupWords.length}):</span> ${groupWords.join(', ')}</p>`;
+    }).join('');
+}
+
+/**
+ * Renders the results once per word, filtered, sorted and grouped by the results controls,
+ * split into likely answers and obscure/bonus words by the commonness threshold.
+ * @param {Map<string, {word: string, paths: number[][][]}[]>} allFoundWords Results keyed by "row,col" start cell.
+ * @param {string[][]} grid The letters that were searched.
+ * @returns {number} The number of unique words.
+ */
+function displayResults(allFoundWords, grid) {
+    // Results render from these maps, so path lookups on hover must use them too
+    lastSearchResults = allFoundWords;
+    lastWordResults = collectWords(allFoundWords);
+    const allWords = Array.from(lastWordResults.values());
+    const pathCount = allWords.reduce((sum, { paths }) => sum + paths.length, 0);
+
+    if (allWords.length === 0) {
+        resultsDiv.textContent = 'No words found.';
+        return 0;
+    }
+
+    const filter = readResultsFilter();
+    const matches = buildWordFilter(filter);
+    const shown = allWords.filter(({ word }) => matches(word)).sort(compareResults(sortByInput.value));
+    const threshold = parseFloat(likelyThresholdInput.value);
+    const likely = shown.filter(({ commonness }) => commonness >= threshold);
+    const bonus = shown.filter(({ commonness }) => commonness < threshold);
+
+    let htmlResult = `<p>Found ${allWords.length} unique word(s) (${pathCount} paths total)`;
+    htmlResult += shown.length === allWords.length ? ':</p>' : `, showing ${shown.length} that match "${filter}":</p>`;
+    htmlResult += describeSources(allWords);
+    htmlResult += `<h3 class="tier-heading">Likely answers (${likely.length})</h3>`;
+    htmlResult += likely.length > 0 ? renderWordGroups(likely, grid) : '<p class="empty">None at this threshold.</p>';
+    htmlResult += `<h3 class="tier-heading">Obscure / bonus words (${bonus.length})</h3>`;
+    htmlResult += bonus.length > 0 ? renderWordGroups(bonus, grid) : '<p class="empty">None.</p>';
+    resultsDiv.innerHTML = htmlResult;
+
+    // Re-rendering replaces the elements, so carry a pinned word over to its new element
+    if (pinnedResultWord && pinnedResultWord.dataset.coverIndex === undefined) {
+        const { word } = pinnedResultWord.dataset;
+        pinnedResultWord = resultsDiv.querySelector(`.result-word[data-word="${word}"]`);
+        if (pinnedResultWord) {
+            pinnedResultWord.classList.add('pinned');
         } else {
-             let htmlResult = `<p>Found ${uniqueWords.size} unique word(s) (${totalInstances} instances total):</p>`;
-             // Sort results by starting position for consistency
-             const sortedKeys = Array.from(allFoundWords.keys()).sort();
-
-             sortedKeys.forEach(key => {
-                 const [r, c] = key.split(',').map(Number);
-                 const startChar = grid[r][c].toUpperCase();
-                 const words = allFoundWords.get(key);
-                 htmlResult += `<p><span>Start (${r},${c}) '${startChar}':</span> ${words?.join(', ')}</p>`; // Optional chaining ?. just in case
-             });
-            resultsDiv.innerHTML = htmlResult;
+            resetPinnedPath();
         }
+    }
+    return allWords.length;
+}
 
-        updateStatus(`Search complete. Found ${uniqueWords.size} unique words.`, 'success');
-        solveButton.disabled = false; // Re-enable button
-    }, 50); // Small delay (50ms)
+/**
+ * Re-renders the results after a results control changed.
+ */
+function refreshResults() {
+    if (activeSearch) {
+        displayResults(activeSearch.allFoundWords, activeSearch.grid);
+    } else if (lastSearchGrid) {
+        displayResults(lastSearchResults, lastSearchGrid);
+    }
 }
 
 // --- Generate Grid Inputs Dynamically ---
 /**
- * Creates the 4x4 input grid elements and adds them to the DOM.
+ * Creates the rows x cols input grid elements and adds them to the DOM.
+ * Letters already entered are kept for cells that still exist in the new shape.
+ * Hexagonal boards use half-width columns so odd rows can sit half a tile to the right.
  */
 function generateGridInputs() {
+     const { rows, cols } = settings;
+     const cellCount = rows * cols;
+     const previousLetters = new Map();
+     gridContainer.querySelectorAll('.grid-input').forEach(input => previousLetters.set(input.id, input.value));
+
      gridContainer.innerHTML = ''; // Clear existing inputs if any
-     for (let i = 0; i < GRID_SIZE * GRID_SIZE; i++) {
+     const hex = settings.topology === 'hex';
+     gridContainer.classList.toggle('hex', hex);
+     gridContainer.style.gridTemplateColumns = hex ? `repeat(${cols * 2 + 1}, 17.5px)` : `repeat(${cols}, 40px)`;
+     gridContainer.style.gridTemplateRows = `repeat(${rows}, 40px)`;
+     for (let i = 0; i < cellCount; i++) {
          const input = document.createElement('input');
          input.type = 'text';
-         input.maxLength = 1;
+         input.maxLength = settings.multiLetterTiles ? MAX_TILE_LENGTH : 1;
          input.classList.add('grid-input');
-         input.id = `cell-${Math.floor(i / GRID_SIZE)}-${i % GRID_SIZE}`; // e.g., cell-0-0
-         input.setAttribute('aria-label', `Grid cell row ${Math.floor(i / GRID_SIZE) + 1} column ${i % GRID_SIZE + 1}`);
+         input.id = `cell-${Math.floor(i / cols)}-${i % cols}`; // e.g., cell-0-0
+         if (hex) {
+             const row = Math.floor(i / cols);
+             input.style.gridRow = `${row + 1}`;
+             input.style.gridColumn = `${(i % cols) * 2 + 1 + (row % 2)} / span 2`;
+         }
+         input.value = previousLetters.get(input.id) || '';
+         input.classList.toggle('multi-letter', input.value.length > 1);
+         input.setAttribute('aria-label', `Grid cell row ${Math.floor(i / cols) + 1} column ${i % cols + 1}`);
 
          // Automatically move focus to the next input
          input.addEventListener('input', (e) => {
              const target = e.target; // No need for specific type assertion in JS
-             target.value = target.value.toUpperCase().replace(/[^A-Z]/g, ''); // Allow only letters, force uppercase visually
-             if (target.value.length === 1) {
+             // Allow only the alphabet's letters and '?', force uppercase visually
+             const tiles = Array.from(normalizeText(target.value, alphabet)).filter(char => char === WILDCARD_TILE || alphabet.letterSet.has(char));
+             target.value = toDisplayCase(tiles.slice(0, target.maxLength).join(''));
+             if (target.value.includes(WILDCARD_TILE)) target.value = WILDCARD_TILE; // A blank tile is never combined with letters
+             target.classList.toggle('multi-letter', target.value.length > 1);
+             // Multi-letter tiles can't tell when the tile is finished, so they move on with Tab or the arrow keys
+             if (target.value.length === 1 && (!settings.multiLetterTiles || target.value === WILDCARD_TILE)) {
                  const nextInput = target.nextElementSibling;
                  if (nextInput && nextInput.tagName === 'INPUT') {
                      nextInput.focus();
                      nextInput.select(); // Select text in next input for easy overwrite
-                 } else if (i === (GRID_SIZE * GRID_SIZE - 1)) {
+                 } else if (i === (cellCount - 1)) {
                      // If it's the last input, maybe focus the button
                      solveButton.focus();
                  }
@@ -327,10 +1049,10 @@ function generateGridInputs() {
              let currentCellIndex = i;
              let nextCellIndex = -1;
              switch(e.key) {
-                 case 'ArrowRight': if ((currentCellIndex + 1) % GRID_SIZE !== 0) nextCellIndex = currentCellIndex + 1; break;
-                 case 'ArrowLeft': if (currentCellIndex % GRID_SIZE !== 0) nextCellIndex = currentCellIndex - 1; break;
-                 case 'ArrowDown': if (currentCellIndex < GRID_SIZE * (GRID_SIZE - 1)) nextCellIndex = currentCellIndex + GRID_SIZE; break;
-                 case 'ArrowUp': if (currentCellIndex >= GRID_SIZE) nextCellIndex = currentCellIndex - GRID_SIZE; break;
+                 case 'ArrowRight': if ((currentCellIndex + 1) % cols !== 0) nextCellIndex = currentCellIndex + 1; break;
+                 case 'ArrowLeft': if (currentCellIndex % cols !== 0) nextCellIndex = currentCellIndex - 1; break;
+                 case 'ArrowDown': if (currentCellIndex < cols * (rows - 1)) nextCellIndex = currentCellIndex + cols; break;
+                 case 'ArrowUp': if (currentCellIndex >= cols) nextCellIndex = currentCellIndex - cols; break;
                  case 'Enter': solveButton.click(); e.preventDefault(); break; // Trigger solve on Enter
                  case 'Backspace':
                       // If input is empty, move to previous and clear it
@@ -342,7 +1064,7 @@ function generateGridInputs() {
                       }
                       break;
              }
-             if (nextCellIndex !== -1 && nextCellIndex < GRID_SIZE * GRID_SIZE) {
+             if (nextCellIndex !== -1 && nextCellIndex < cellCount) {
                   // Type casting not needed, direct access
                   gridContainer.children[nextCellIndex].focus();
                   e.preventDefault(); // Prevent default arrow key scrolling
@@ -355,8 +1077,51 @@ function generateGridInputs() {
 
 // --- Initialization ---
 document.addEventListener('DOMContentLoaded', () => {
+    rowsInput.value = settings.rows;
+    colsInput.value = settings.cols;
+    minLengthInput.value = settings.minWordLength;
+    maxLengthInput.value = settings.maxWordLength;
+    multiLetterTilesInput.checked = settings.multiLetterTiles;
+    topologyInput.value = settings.topology;
+    Object.entries(LANGUAGES).forEach(([code, { name }]) => languageInput.add(new Option(name, code)));
+    languageInput.value = settings.language;
+    foldAccentsInput.checked = settings.foldAccents;
+    [rowsInput, colsInput, minLengthInput, maxLengthInput, multiLetterTilesInput, topologyInput, languageInput, foldAccentsInput]
+        .forEach(input => input.addEventListener('change', applySettings));
+    updateSettingsLabels();
     generateGridInputs();
     solveButton.addEventListener('click', solve);
+    cancelButton.addEventListener('click', cancelSearch);
+    solverWorker.addEventListener('message', handleWorkerMessage);
+    solverWorker.addEventListener('error', handleWorkerError);
+    [groupByInput, sortByInput].forEach(input => input.addEventListener('change', refreshResults));
+    filterInput.addEventListener('input', refreshResults);
+    likelyThresholdInput.addEventListener('input', () => {
+        likelyThresholdValue.textContent = parseFloat(likelyThresholdInput.value).toFixed(1);
+        refreshResults();
+    });
+    resultsDiv.addEventListener('click', handleResultClick);
+    resultsDiv.addEventListener('mouseover', handleResultHover);
+    resultsDiv.addEventListener('mouseout', handleResultHoverEnd);
+    coverageDiv.addEventListener('click', handleResultClick);
+    coverageDiv.addEventListener('mouseover', handleResultHover);
+    coverageDiv.addEventListener('mouseout', handleResultHoverEnd);
+    heatmapToggle.addEventListener('change', updateHeatmap);
+    wordActionsDiv.addEventListener('click', handleWordAction);
+    initProfiles(applyDictionaryProfile);
+    initHints();
+    initSharing();
+    initScreenshotImport();
+    initPuzzles();
+    initPlay();
+    initHistory();
     // Attempt to load dictionary immediately on page load
     loadDictionary();
+
+    // Cache the app and dictionary index for instant, offline loads
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register(SERVICE_WORKER_FILE).catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
 });
@@ -0,0 +1,69 @@
+// Service worker: caches the solver and its dictionary index so the page loads
+// instantly and works offline. Responses are served from the cache and refreshed
+// in the background (stale-while-revalidate), so a deploy shows up on the next load.
+// Bump CACHE_NAME when the list of precached files changes.
+
+const CACHE_NAME = 'resquare-v11';
+const PRECACHE_FILES = [
+    './',
+    'index.html',
+    'alphabet.js',
+    'style.css',
+    'script.js',
+    'profiles.js',
+    'hints.js',
+    'sharing.js',
+    'ocr.js',
+    'screenshot.js',
+    'puzzles.js',
+    'play.js',
+    'history.js',
+    'wordscore.js',
+    'solver-worker.js',
+    'solver.js',
+    'generator.js',
+    'dawg.js',
+    'words.dawg',
+    'words.txt', // Read instead of words.dawg when the index doesn't fit the language settings
+    'frequencies.txt'
+];
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (e) => {
+    // Drop caches from previous versions
+    e.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (e) => {
+    const { request } = e;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    e.respondWith(caches.open(CACHE_NAME).then(async cache => {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        const refresh = fetch(request)
+            .then(response => {
+                if (response.ok) cache.put(request, response.clone());
+                return response;
+            })
+            .catch(error => {
+                if (!cached) throw error; // Offline and never cached: let the request fail
+                return cached;
+            });
+        if (cached) {
+            e.waitUntil(refresh.catch(() => {}));
+            return cached;
+        }
+        return refresh;
+    }));
+});
@@ -0,0 +1,290 @@
+// Sharing boards: the grid and solver settings are kept in the URL hash so a link
+// restores the same puzzle, grids can be pasted in as text, and results can be
+// exported as JSON or CSV for other tools.
+// Loaded before script.js, which calls initSharing() once the page is set up.
+
+// --- Configuration ---
+const HASH_ROW_SEPARATOR = '-';
+const HASH_WILDCARD = '_'; // '?' would need escaping in a URL
+const TEXT_GRID_EXAMPLE = 'TEST\nARES\nSTON\nEARQ';
+const DOWNLOAD_URL_LIFETIME_MS = 30000; // Some browsers only start a download after click() returns
+
+// --- DOM Elements ---
+const copyLinkButton = document.getElementById('copyLinkButton');
+const gridTextInput = document.getElementById('gridTextInput');
+const importGridButton = document.getElementById('importGridButton');
+const exportJsonButton = document.getElementById('exportJsonButton');
+const exportCsvButton = document.getElementById('exportCsvButton');
+
+// --- Board Encoding ---
+/**
+ * Checks a single tile: one letter, a multi-letter tile such as "qu", or WILDCARD_TILE.
+ * @param {string} tile Normalized tile.
+ * @param {object} tileAlphabet From createAlphabet().
+ * @returns {boolean}
+ */
+function isValidTile(tile, tileAlphabet) {
+    return tile === WILDCARD_TILE || (isAlphabetWord(tile, tileAlphabet) && Array.from(tile).length <= MAX_TILE_LENGTH);
+}
+
+/**
+ * Checks that rows of tiles form a usable rectangular grid.
+ * @param {string[][]} grid
+ * @param {object} [tileAlphabet] From createAlphabet(); the current alphabet by default.
+ * @returns {string | null} A description of the problem, or null if the grid is fine.
+ */
+function validateBoard(grid, tileAlphabet = alphabet) {
+    if (grid.length === 0) return 'The grid is empty.';
+    const cols = grid[0].length;
+    if (grid.some(row => row.length !== cols)) return 'Every row of the grid must have the same number of tiles.';
+    if (grid.length > MAX_GRID_DIMENSION || cols > MAX_GRID_DIMENSION) {
+        return `Grids can be at most ${MAX_GRID_DIMENSION}x${MAX_GRID_DIMENSION}.`;
+    }
+    const badTile = grid.flat().find(tile => !isValidTile(tile, tileAlphabet));
+    if (badTile !== undefined) return `"${badTile}" is not a valid tile.`;
+    return null;
+}
+
+/**
+ * Encodes a grid for the URL hash, e.g. "test-ares-ston-ea(qu)_".
+ * Multi-letter tiles are wrapped in parentheses and wildcards become HASH_WILDCARD.
+ * @param {string[][]} grid
+ * @returns {string}
+ */
+function encodeBoard(grid) {
+    return grid.map(row => row.map(tile => {
+        if (tile === WILDCARD_TILE) return HASH_WILDCARD;
+        return tile.length > 1 ? `(${tile})` : tile;
+    }).join('')).join(HASH_ROW_SEPARATOR);
+}
+
+/**
+ * Decodes a grid written by encodeBoard().
+ * @param {string} text
+ * @param {object} [tileAlphabet] From createAlphabet(); the current alphabet by default.
+ * @returns {string[][] | null} The grid, or null if the text is not a valid board.
+ */
+function decodeBoard(text, tileAlphabet = alphabet) {
+    const grid = normalizeText(text, tileAlphabet).split(HASH_ROW_SEPARATOR).map(row => {
+        const tiles = row.match(/\(\p{L}+\)|[\p{L}_]/gu) || [];
+        if (tiles.join('') !== row) return null; // Stray characters
+        return tiles.map(tile => tile === HASH_WILDCARD ? WILDCARD_TILE : tile.replace(/[()]/g, ''));
+    });
+    if (grid.some(row => row === null) || validateBoard(grid, tileAlphabet)) return null;
+    return grid;
+}
+
+// --- URL Hash ---
+/**
+ * Writes the grid and the solver settings to the URL hash without adding a history entry.
+ * @param {string[][]} grid
+ */
+function updateBoardHash(grid) {
+    const params = [
+        `grid=${encodeURIComponent(encodeBoard(grid))}`,
+        `min=${settings.minWordLength}`,
+        `max=${settings.maxWordLength}`
+    ];
+    if (settings.multiLetterTiles) params.push('multi=1');
+    if (settings.topology !== DEFAULT_SETTINGS.topology) params.push(`board=${settings.topology}`);
+    if (settings.language !== DEFAULT_SETTINGS.language) params.push(`lang=${settings.language}`);
+    if (settings.foldAccents) params.push('fold=1');
+    history.replaceState(null, '', `#${params.join('&')}`);
+}
+
+/**
+ * Reads a board and its settings from the URL hash. The tiles are read with the link's
+ * language and accent setting, which loadBoard() then switches to.
+ * @returns {{grid: string[][], minWordLength?: number, maxWordLength?: number, multiLetterTiles: boolean, topology: string,
+ *   language: string, foldAccents: boolean} | null}
+ */
+function readBoardHash() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    const language = params.get('lang') in LANGUAGES ? params.get('lang') : DEFAULT_SETTINGS.language;
+    const foldAccents = params.get('fold') === '1';
+    const grid = params.has('grid') ? decodeBoard(params.get('grid'), createAlphabet(language, foldAccents)) : null;
+    if (!grid) return null;
+    const readNumber = name => {
+        const value = parseInt(params.get(name), 10);
+        return Number.isNaN(value) ? undefined : value;
+    };
+    return {
+        grid,
+        minWordLength: readNumber('min'),
+        maxWordLength: readNumber('max'),
+        multiLetterTiles: params.get('multi') === '1',
+        topology: params.get('board') in TOPOLOGY_HINTS ? params.get('board') : DEFAULT_SETTINGS.topology,
+        language,
+        foldAccents
+    };
+}
+
+/**
+ * Loads the board from the URL hash, if it holds one.
+ * @returns {boolean} True if a board was restored.
+ */
+function restoreBoardFromHash() {
+    const board = readBoardHash();
+    if (!board) {
+        if (location.hash) updateStatus('The link does not contain a valid grid.', 'error');
+        return false;
+    }
+    const { grid, ...options } = board;
+    loadBoard(grid, options);
+    return true;
+}
+
+/**
+ * Puts the current grid in the URL hash and copies the link to the clipboard.
+ */
+async function copyBoardLink() {
+    const grid = getGridLetters();
+    if (!grid) return; // Error message already shown by getGridLetters
+    updateBoardHash(grid);
+    try {
+        await navigator.clipboard.writeText(location.href);
+        updateStatus('Link to this grid copied to the clipboard.', 'success');
+    } catch (error) {
+        console.warn('Could not copy the link:', error);
+        updateStatus('Could not copy the link; copy it from the address bar instead.', 'info');
+    }
+}
+
+// --- Text Grid Import ---
+/**
+ * Parses a grid typed or pasted as text, one row per line, in the current alphabet.
+ * Rows are either runs of letters ("TEST") or tiles separated by spaces or commas
+ * ("T E S T", "QU, A, ?, E"). '?' or '_' is a blank tile.
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {Error} If the text is not a valid grid.
+ */
+function parseTextGrid(text) {
+    const grid = text.split(/\r?\n/)
+        .map(line => normalizeText(line.trim(), alphabet))
+        .filter(line => line)
+        .map(line => (/[\s,;]/.test(line) ? line.split(/[\s,;]+/).filter(tile => tile) : Array.from(line))
+            .map(tile => tile === HASH_WILDCARD ? WILDCARD_TILE : tile));
+    const problem = validateBoard(grid);
+    if (problem) throw new Error(problem);
+    return grid;
+}
+
+/**
+ * Loads the grid pasted into the import box.
+ */
+function importTextGrid() {
+    let grid;
+    try {
+        grid = parseTextGrid(gridTextInput.value);
+    } catch (error) {
+        updateStatus(`Could not import the grid: ${error.message}`, 'error');
+        return;
+    }
+    loadBoard(grid);
+    updateBoardHash(grid);
+    updateStatus(`Imported a ${grid.length}x${grid[0].length} grid.`, 'success');
+}
+
+// --- Result Export ---
+/**
+ * Lists the last search's results as they are shown: one entry per word and start cell.
+ * @returns {{word: string, length: number, commonness: number, start: number[], path: number[][], paths: number[][][], sources: string[]}[]}
+ */
+function getExportEntries() {
+    const entries = [];
+    Array.from(lastSearchResults.keys()).sort().forEach(key => {
+        const start = key.split(',').map(Number);
+        lastSearchResults.get(key)
+            .slice()
+            .sort((a, b) => a.word.localeCompare(b.word))
+            .forEach(({ word, paths, sources, commonness }) => {
+                entries.push({ word, length: word.length, commonness, start, path: paths[0], paths, sources });
+            });
+    });
+    return entries;
+}
+
+/**
+ * Offers text to the user as a file download.
+ * @param {string} fileName
+ * @param {string} mimeType
+ * @param {string} content
+ */
+function downloadFile(fileName, mimeType, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+}
+
+/**
+ * Checks there are finished results to export.
+ * @returns {boolean}
+ */
+function canExportResults() {
+    if (!lastSearchGrid) {
+        updateStatus('Solve the grid first, then export the results.', 'error');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Downloads the results as JSON, including the grid, board topology and word-length range they came from.
+ * `path` is the first path of each word from its start cell, `paths` lists all of them.
+ */
+function exportResultsJson() {
+    if (!canExportResults()) return;
+    const data = {
+        grid: lastSearchGrid,
+        topology: settings.topology,
+        language: settings.language,
+        foldAccents: settings.foldAccents,
+        minWordLength: settings.minWordLength,
+        maxWordLength: settings.maxWordLength,
+        words: getExportEntries()
+    };
+    downloadFile(`resquare-${encodeBoard(lastSearchGrid)}.json`, 'application/json', JSON.stringify(data, null, 2));
+}
+
+/**
+ * Quotes a CSV field if it contains a separator, quote or line break.
+ * @param {string | number} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Downloads the results as CSV: word, length, commonness, start cell ("row,col") and path
+ * (cells separated by spaces), one row per word and start cell.
+ */
+function exportResultsCsv() {
+    if (!canExportResults()) return;
+    const lines = [['word', 'length', 'commonness', 'start', 'path'].join(',')];
+    getExportEntries().forEach(({ word, length, commonness, start, path }) => {
+        const cells = path.map(cell => cell.join(',')).join(' ');
+        lines.push([word, length, commonness.toFixed(2), start.join(','), cells].map(csvField).join(','));
+    });
+    downloadFile(`resquare-${encodeBoard(lastSearchGrid)}.csv`, 'text/csv', lines.join('\n') + '\n');
+}
+
+/**
+ * Wires up the share panel and restores a board from the URL hash.
+ */
+function initSharing() {
+    gridTextInput.placeholder = TEXT_GRID_EXAMPLE;
+    copyLinkButton.addEventListener('click', copyBoardLink);
+    importGridButton.addEventListener('click', importTextGrid);
+    exportJsonButton.addEventListener('click', exportResultsJson);
+    exportCsvButton.addEventListener('click', exportResultsCsv);
+    window.addEventListener('hashchange', restoreBoardFromHash);
+    if (location.hash) restoreBoardFromHash();
+}
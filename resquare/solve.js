@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+// Solves grids from the command line and prints the results as JSON.
+//
+//   node resquare/solve.js [options] [row ...]
+//   echo "test ares ston earq" | node resquare/solve.js [options]
+//
+// Each row is a run of tiles: letters, '?' or '_' for a blank tile and parentheses
+// for multi-letter tiles, e.g. "ea(qu)?". Rows can also be joined with '-' into a
+// single argument, as in the page's share links ("test-ares-ston-earq").
+// Without rows on the command line, grids are read from stdin: one row per line
+// (or several rows separated by spaces), with blank lines between grids, so an
+// archive of puzzles can be solved in one run.
+//
+// Options:
+//   --min N                 Shortest word length (default 4)
+//   --max N                 Longest word length (default 8)
+//   --topology NAME         square (default), orthogonal, toroidal or hex; see TOPOLOGIES in solver.js
+//   --language CODE         Alphabet and default word list, e.g. es or de; see LANGUAGES in alphabet.js (default en)
+//   --fold-accents          Fold accented letters into plain ones (é = e) in the grid and the word list
+//   --dictionary FILE       Index (.dawg) or plain word list (default: the language's list next to this script;
+//                           only English has one, so other languages need this option)
+//   --drop-proper-nouns     Skip words that only appear capitalized in the word list
+//   --words-only            Print just the sorted words, handy for diffing against known answers
+//   --check [FILE.json]     Regression check: solve the grids listed in FILE (default
+//                           fixtures/solver/expected.json) and compare them with their known answers
+//
+// Prints one JSON object per grid ({ grid, topology, language, minWordLength, maxWordLength, wordCount, words }),
+// or an array of them when stdin holds several grids. Each word carries a `commonness` score
+// (see wordscore.js) when the language has a frequency list next to this script.
+// With --check, prints a line per grid and exits with status 1 if any grid's words differ.
+
+const fs = require('fs');
+const path = require('path');
+const { LANGUAGES, DEFAULT_LANGUAGE, createAlphabet, normalizeText, isAlphabetWord } = require('./alphabet.js');
+const { parseWordList, buildDawg, decodeDawg, dawgMatchesAlphabet } = require('./dawg.js');
+const { WILDCARD_TILE, TOPOLOGIES, DEFAULT_TOPOLOGY, createDictionaryState, solveGrid } = require('./solver.js');
+const { parseWordFrequencies, setWordFrequencies, commonnessScore } = require('./wordscore.js');
+
+// --- Configuration ---
+const DEFAULT_CHECK_FILE = path.resolve(__dirname, 'fixtures/solver/expected.json');
+
+/**
+ * Splits the command line into options and grid rows.
+ * @param {string[]} args
+ * @returns {{options: object, rows: string[]}}
+ */
+function parseArguments(args) {
+    const options = { minWordLength: 4, maxWordLength: 8, topology: DEFAULT_TOPOLOGY, language: DEFAULT_LANGUAGE, foldAccents: false, dictionary: null, dropProperNouns: false, wordsOnly: false, check: null };
+    const rows = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const readNumber = () => {
+            const value = parseInt(args[++i], 10);
+            if (Number.isNaN(value) || value < 1) throw new Error(`${arg} needs a positive number.`);
+            return value;
+        };
+        switch (arg) {
+            case '--min': options.minWordLength = readNumber(); break;
+            case '--max': options.maxWordLength = readNumber(); break;
+            case '--topology':
+                options.topology = args[++i];
+                if (!TOPOLOGIES.includes(options.topology)) throw new Error(`--topology must be one of ${TOPOLOGIES.join(', ')}.`);
+                break;
+            case '--language':
+                options.language = args[++i];
+                if (!(options.language in LANGUAGES)) throw new Error(`--language must be one of ${Object.keys(LANGUAGES).join(', ')}.`);
+                break;
+            case '--fold-accents': options.foldAccents = true; break;
+            case '--dictionary':
+                if (i + 1 >= args.length) throw new Error('--dictionary needs a file.');
+                options.dictionary = path.resolve(args[++i]);
+                break;
+            case '--drop-proper-nouns': options.dropProperNouns = true; break;
+            case '--words-only': options.wordsOnly = true; break;
+            case '--check':
+                options.check = i + 1 < args.length && args[i + 1].endsWith('.json') ? path.resolve(args[++i]) : DEFAULT_CHECK_FILE;
+                break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}.`);
+                rows.push(...arg.split('-'));
+        }
+    }
+    if (options.maxWordLength < options.minWordLength) throw new Error('--max must not be less than --min.');
+    return { options, rows };
+}
+
+/**
+ * Parses grid rows into tiles.
+ * @param {string[]} rows e.g. ["test", "ea(qu)?"]
+ * @param {object} alphabet From createAlphabet().
+ * @returns {string[][]}
+ * @throws {Error} If a row holds anything but tiles of the alphabet or the rows differ in length.
+ */
+function parseGrid(rows, alphabet) {
+    const grid = rows.map(row => {
+        const text = normalizeText(row.trim(), alphabet);
+        const tiles = text.match(/\(\p{L}+\)|[\p{L}?_]/gu) || [];
+        const isTile = tile => tile === '?' || tile === '_' || isAlphabetWord(tile.replace(/[()]/g, ''), alphabet);
+        if (tiles.join('') !== text || !tiles.every(isTile)) throw new Error(`Row "${row}" contains characters that are not tiles.`);
+        return tiles.map(tile => (tile === '_' ? WILDCARD_TILE : tile.replace(/[()]/g, '')));
+    });
+    if (grid.length === 0 || grid[0].length === 0) throw new Error('The grid is empty.');
+    if (grid.some(row => row.length !== grid[0].length)) throw new Error('Every row of the grid must have the same number of tiles.');
+    return grid;
+}
+
+/**
+ * Splits stdin into grids: rows on separate lines or separated by spaces, grids separated by blank lines.
+ * @param {string} text
+ * @returns {string[][]} Rows per grid.
+ */
+function splitGrids(text) {
+    return text.split(/\r?\n\s*\r?\n/)
+        .map(block => block.split(/[\s-]+/).filter(row => row))
+        .filter(rows => rows.length > 0);
+}
+
+/**
+ * Loads the dictionary from an index or a plain word list.
+ * @param {string} file
+ * @param {object} alphabet From createAlphabet().
+ * @returns {object} Decoded index.
+ * @throws {Error} If the index was built for another language or accent setting.
+ */
+function loadDictionary(file, alphabet) {
+    if (file.endsWith('.dawg')) {
+        const data = fs.readFileSync(file);
+        const dawg = decodeDawg(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+        if (!dawgMatchesAlphabet(dawg, alphabet)) throw new Error(`${path.basename(file)} was built for another language or accent setting.`);
+        return dawg;
+    }
+    const { words, properNouns } = parseWordList(fs.readFileSync(file, 'utf8'), alphabet);
+    return decodeDawg(buildDawg(words, properNouns));
+}
+
+/**
+ * Picks the language's files next to this script: its index when it has one built for
+ * these settings, otherwise its plain word list.
+ * @param {object} alphabet From createAlphabet().
+ * @returns {string}
+ * @throws {Error} If the language has no bundled word list.
+ */
+function getDefaultDictionary(alphabet) {
+    const { name, dictionary, index } = LANGUAGES[alphabet.language];
+    if (!dictionary) throw new Error(`There is no bundled ${name} word list; pass one with --dictionary FILE.`);
+    if (index && !alphabet.foldAccents && fs.existsSync(path.resolve(__dirname, index))) return path.resolve(__dirname, index);
+    return path.resolve(__dirname, dictionary);
+}
+
+/**
+ * Solves one grid and shapes the output.
+ * @param {string[][]} grid
+ * @param {object} state
+ * @param {object} options
+ * @returns {object | string[]}
+ */
+function solveForOutput(grid, state, options) {
+    const { minWordLength, maxWordLength, topology, language } = options;
+    const words = solveGrid(grid, state, { minWordLength, maxWordLength, topology });
+    if (options.wordsOnly) return words.map(({ word }) => word);
+    return {
+        grid,
+        topology,
+        language,
+        minWordLength,
+        maxWordLength,
+        wordCount: words.length,
+        words: words.map(({ word, paths, sources, wildcards }) => {
+            const entry = { word, length: word.length, commonness: commonnessScore(word), paths, sources };
+            if (wildcards.some(blanks => blanks.length > 0)) entry.wildcards = wildcards;
+            return entry;
+        })
+    };
+}
+
+/**
+ * Solves each grid listed in a check file and compares the words found with the known answers.
+ * Entries look like { description, rows, options, dictionary, words }: `options` takes the
+ * same fields as the command line (minWordLength, maxWordLength, topology, ...) and
+ * `dictionary` is a word list or index next to the check file.
+ * @param {string} file
+ * @returns {boolean} True if every grid gave exactly its listed words.
+ */
+function runCheck(file) {
+    const cases = JSON.parse(fs.readFileSync(file, 'utf8'));
+    let failed = 0;
+    for (const [name, { rows, options = {}, dictionary, words }] of Object.entries(cases)) {
+        const { minWordLength = 4, maxWordLength = 8, topology = DEFAULT_TOPOLOGY, language = DEFAULT_LANGUAGE, foldAccents = false } = options;
+        try {
+            const alphabet = createAlphabet(language, foldAccents);
+            const grid = parseGrid(rows, alphabet);
+            const dictionaryFile = path.resolve(path.dirname(file), dictionary);
+            const state = createDictionaryState([{ name: path.basename(dictionaryFile), dawg: loadDictionary(dictionaryFile, alphabet) }]);
+            const found = solveGrid(grid, state, { minWordLength, maxWordLength, topology }).map(({ word }) => word);
+            const missing = words.filter(word => !found.includes(word));
+            const unexpected = found.filter(word => !words.includes(word));
+            if (missing.length === 0 && unexpected.length === 0) {
+                console.log(`${name}: ok, ${found.length} words`);
+                continue;
+            }
+            failed++;
+            const problems = [];
+            if (missing.length > 0) problems.push(`missing ${missing.join(', ')}`);
+            if (unexpected.length > 0) problems.push(`unexpected ${unexpected.join(', ')}`);
+            console.log(`${name}: FAILED, ${problems.join('; ')}`);
+        } catch (error) {
+            failed++;
+            console.log(`${name}: FAILED, ${error.message}`);
+        }
+    }
+    const count = Object.keys(cases).length;
+    console.log(failed > 0 ? `${failed} of ${count} grids failed.` : `All ${count} grids gave their known answers.`);
+    return failed === 0;
+}
+
+function main() {
+    const { options, rows } = parseArguments(process.argv.slice(2));
+    if (options.check) {
+        if (!runCheck(options.check)) process.exitCode = 1;
+        return;
+    }
+    const blocks = rows.length > 0 ? [rows] : splitGrids(fs.readFileSync(0, 'utf8'));
+    if (blocks.length === 0) throw new Error('No grid given. Pass rows as arguments or on stdin.');
+    const alphabet = createAlphabet(options.language, options.foldAccents);
+    const grids = blocks.map(block => parseGrid(block, alphabet));
+
+    const { frequencies } = LANGUAGES[options.language];
+    const frequencyFile = frequencies && path.resolve(__dirname, frequencies);
+    if (frequencyFile && fs.existsSync(frequencyFile)) setWordFrequencies(parseWordFrequencies(fs.readFileSync(frequencyFile, 'utf8')));
+    const dictionary = options.dictionary || getDefaultDictionary(alphabet);
+    const dawg = loadDictionary(dictionary, alphabet);
+    const state = createDictionaryState([{ name: path.basename(dictionary), dawg }], { dropProperNouns: options.dropProperNouns });
+    const results = grids.map(grid => solveForOutput(grid, state, options));
+    console.log(JSON.stringify(results.length === 1 ? results[0] : results, null, 2));
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`solve.js: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,400 @@
+// Solver worker: loads the dictionary index (see dawg.js) and runs the grid search (see solver.js)
+// off the main thread, streaming results and progress back to the page (see script.js).
+//
+// Messages from the page:
+//   { type: 'load', language, foldAccents, indexUrl?, url?, frequencyUrl? }
+//                                                        Load the precompiled index (or build one from the word list;
+//                                                        without a list, the base dictionary is empty)
+//                                                        and the word frequencies (see wordscore.js), with words
+//                                                        normalized for the language's alphabet (see alphabet.js)
+//   { type: 'profile', dropProperNouns, lists, accepted, rejected }  Apply a dictionary profile (see profiles.js)
+//   { type: 'solve', id, grid, minWordLength, maxWordLength, topology }  Search a grid (2D array of tiles: letters or '?')
+//   { type: 'cancel', id, scope? }                       Stop a running search, or a generation with scope 'generate'
+//   { type: 'generate', id, options }                    Generate a puzzle (see generatePuzzleSteps() in generator.js)
+// Messages to the page:
+//   { type: 'indexed', wordCount, lengthCounts, properLengthCounts, source, frequencyCount }
+//   { type: 'profileApplied', extraWordCount }
+//   { type: 'progress', id, hits, cellsDone, cellCount, currentCell }  Hits carry a `commonness` score
+//   { type: 'done', id } / { type: 'cancelled', id, scope? }
+//   { type: 'generated', id, puzzle }
+//   { type: 'error', id?, scope?, message }
+
+importScripts('alphabet.js', 'dawg.js', 'solver.js', 'wordscore.js', 'generator.js');
+
+// --- Configuration ---
+const SLICE_MS = 30; // Time budget per slice before yielding so 'cancel' messages get through
+const INDEX_CACHE_DB = 'resquare-index-cache';
+const INDEX_CACHE_STORE = 'indexes';
+const INDEX_CACHE_USAGE_STORE = 'lastUsed'; // Same keys as INDEX_CACHE_STORE, values are Date.now() timestamps
+const INDEX_CACHE_LIMIT = 8; // Indexes kept; beyond that the least recently used are deleted
+const ACCEPTED_LIST_NAME = 'Accepted list';
+
+// --- Worker State ---
+// What a search runs against (see solver.js); the base dictionary comes first and rejectedWords
+// holds the words the game rejected. Replaced as a whole (never mutated) so a running search
+// keeps a consistent view.
+let dictionaryState = { dictionaries: [], dropProperNouns: false, rejectedWords: new Set() };
+let activeSearchId = null; // Id of the running search, cleared on cancel/completion
+let activeGenerationId = null; // Id of the running generation, cleared on cancel/completion
+let alphabet = createAlphabet(); // What word lists are normalized into; set by 'load'
+
+// --- Index Cache (IndexedDB) ---
+/**
+ * Opens the IndexedDB database that caches indexes built in the browser. Every edited word
+ * list hashes differently, so the cache records when each index was last used and is kept
+ * to INDEX_CACHE_LIMIT entries (see writeCachedIndex()).
+ * @returns {Promise<IDBDatabase>}
+ */
+function openIndexCache() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(INDEX_CACHE_DB, 2);
+        request.onupgradeneeded = () => {
+            // Older caches had no usage records to evict by, so they are dropped rather than migrated
+            const db = request.result;
+            Array.from(db.objectStoreNames).forEach(name => db.deleteObjectStore(name));
+            db.createObjectStore(INDEX_CACHE_STORE);
+            db.createObjectStore(INDEX_CACHE_USAGE_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Reads a cached index. Cache failures (e.g. private browsing) are treated as a miss.
+ * @param {string} key
+ * @returns {Promise<ArrayBuffer | null>}
+ */
+async function readCachedIndex(key) {
+    try {
+        const db = await openIndexCache();
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction([INDEX_CACHE_STORE, INDEX_CACHE_USAGE_STORE], 'readwrite');
+            const request = transaction.objectStore(INDEX_CACHE_STORE).get(key);
+            request.onsuccess = () => {
+                if (request.result) transaction.objectStore(INDEX_CACHE_USAGE_STORE).put(Date.now(), key);
+                resolve(request.result || null);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    } catch (error) {
+        console.warn('Index cache unavailable:', error);
+        return null;
+    }
+}
+
+/**
+ * Stores an index in the cache, deleting the least recently used indexes beyond
+ * INDEX_CACHE_LIMIT. Failures are logged and otherwise ignored.
+ * @param {string} key
+ * @param {ArrayBuffer} buffer
+ */
+async function writeCachedIndex(key, buffer) {
+    try {
+        const db = await openIndexCache();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction([INDEX_CACHE_STORE, INDEX_CACHE_USAGE_STORE], 'readwrite');
+            const indexes = transaction.objectStore(INDEX_CACHE_STORE);
+            const usage = transaction.objectStore(INDEX_CACHE_USAGE_STORE);
+            indexes.put(buffer, key);
+            usage.put(Date.now(), key);
+            // Requests on a store run in order, so both of these see the index just added
+            const keysRequest = usage.getAllKeys();
+            const timesRequest = usage.getAll();
+            timesRequest.onsuccess = () => {
+                const newestFirst = keysRequest.result
+                    .map((cachedKey, i) => [cachedKey, timesRequest.result[i]])
+                    .sort((a, b) => b[1] - a[1]);
+                newestFirst.slice(INDEX_CACHE_LIMIT).forEach(([staleKey]) => {
+                    indexes.delete(staleKey);
+                    usage.delete(staleKey);
+                });
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } catch (error) {
+        console.warn('Could not cache index:', error);
+    }
+}
+
+/**
+ * Hashes text with SHA-256.
+ * @param {string} text
+ * @returns {Promise<string>} Lowercase hex digest.
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// --- Index Loading ---
+/**
+ * Loads the dictionary index. The precompiled index (build-index.js) is used when present
+ * and built for the current alphabet; otherwise the plain word list is fetched and an index
+ * is built from it, cached in IndexedDB under the list's hash so the next load skips the build.
+ * Languages without a bundled list get an empty index, leaving the words to profile lists.
+ * @param {string | undefined} indexUrl
+ * @param {string | undefined} wordListUrl
+ * @returns {Promise<{dawg: object, source: 'precompiled' | 'cache' | 'built' | 'none'}>}
+ */
+async function loadIndex(indexUrl, wordListUrl) {
+    if (!wordListUrl) {
+        const { language, foldAccents } = alphabet;
+        return { dawg: decodeDawg(buildDawg([], new Set(), { language, foldAccents })), source: 'none' };
+    }
+    if (indexUrl) {
+        try {
+            const response = await fetch(indexUrl);
+            if (response.ok) {
+                const dawg = decodeDawg(await response.arrayBuffer());
+                if (dawgMatchesAlphabet(dawg, alphabet)) return { dawg, source: 'precompiled' };
+                console.warn(`${indexUrl} was built for other alphabet settings, building from ${wordListUrl}.`);
+            } else {
+                console.warn(`No precompiled index at ${indexUrl} (status ${response.status}), building from ${wordListUrl}.`);
+            }
+        } catch (error) {
+            console.warn(`Could not load precompiled index ${indexUrl}, building from ${wordListUrl}:`, error);
+        }
+    }
+
+    const response = await fetch(wordListUrl);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status} - Could not fetch ${wordListUrl}`);
+    }
+    return buildCachedIndex(await response.text());
+}
+
+/**
+ * Loads the word frequency list that commonness scores are based on. A missing list is
+ * not fatal: every word then falls back to the letter-based score, as it does for
+ * languages without a list.
+ * @param {string | undefined} frequencyUrl
+ * @returns {Promise<number>} The number of words with a known frequency.
+ */
+async function loadWordFrequencies(frequencyUrl) {
+    setWordFrequencies(new Map()); // Never keep another language's list
+    if (!frequencyUrl) return 0;
+    try {
+        const response = await fetch(frequencyUrl);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const frequencies = parseWordFrequencies(await response.text());
+        setWordFrequencies(frequencies);
+        return frequencies.size;
+    } catch (error) {
+        console.warn(`Could not load word frequencies from ${frequencyUrl}, scoring by letters only:`, error);
+        return 0;
+    }
+}
+
+/**
+ * Builds an index from a plain word list, reusing a copy cached in IndexedDB under the
+ * list's hash and the alphabet settings.
+ * @param {string} text One word per line.
+ * @returns {Promise<{dawg: object, source: 'cache' | 'built'}>}
+ */
+async function buildCachedIndex(text) {
+    const sourceHash = await sha256Hex(text);
+    const { language, foldAccents } = alphabet;
+    const cacheKey = `v${DAWG_FORMAT_VERSION}:${language}${foldAccents ? ':folded' : ''}:${sourceHash}`;
+
+    const cached = await readCachedIndex(cacheKey);
+    if (cached) {
+        return { dawg: decodeDawg(cached), source: 'cache' };
+    }
+    const { words, properNouns } = parseWordList(text, alphabet);
+    const buffer = buildDawg(words, properNouns, { sourceHash, language, foldAccents });
+    await writeCachedIndex(cacheKey, buffer);
+    return { dawg: decodeDawg(buffer), source: 'built' };
+}
+
+/**
+ * Applies a dictionary profile: indexes its extra word lists and accepted words so they
+ * are searched alongside the base dictionary, and records the rejected words.
+ * @param {{dropProperNouns: boolean, lists: {name: string, text: string}[], accepted: string[], rejected: string[]}} profile
+ * @returns {Promise<number>} The number of words the profile's lists add.
+ */
+async function applyProfile(profile) {
+    const extras = [];
+    for (const list of profile.lists) {
+        const { dawg } = await buildCachedIndex(list.text);
+        if (dawg.header.wordCount > 0) extras.push({ name: list.name, dawg });
+    }
+    const normalizeList = words => words.map(word => normalizeText(word, alphabet)).filter(word => isAlphabetWord(word, alphabet));
+    const accepted = normalizeList(profile.accepted);
+    if (accepted.length > 0) {
+        // Small and edited often, so not worth caching
+        extras.push({ name: ACCEPTED_LIST_NAME, dawg: decodeDawg(buildDawg(accepted)) });
+    }
+
+    dictionaryState = {
+        dictionaries: [dictionaryState.dictionaries[0], ...extras],
+        dropProperNouns: profile.dropProperNouns,
+        rejectedWords: new Set(normalizeList(profile.rejected))
+    };
+    return extras.reduce((sum, { dawg }) => sum + dawg.header.wordCount, 0);
+}
+
+// --- Search ---
+/**
+ * Runs a search over every start cell in time slices, posting partial results after
+ * each slice and each finished cell. Stops early if the search is cancelled.
+ * @param {number} id Search id chosen by the page.
+ * @param {string[][]} grid
+ * @param {{minWordLength: number, maxWordLength: number, topology: string}} options
+ */
+function runSearch(id, grid, options) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    const state = dictionaryState;
+    const searchOptions = { ...options, adjacency: buildAdjacency(options.topology, rows, cols) };
+    const cellCount = rows * cols;
+    let cellIndex = 0;
+    let iterator = null;
+    let hits = [];
+
+    const postProgress = () => {
+        const currentCell = cellIndex < cellCount ? [Math.floor(cellIndex / cols), cellIndex % cols] : null;
+        self.postMessage({ type: 'progress', id, hits, cellsDone: cellIndex, cellCount, currentCell });
+        hits = [];
+    };
+
+    const runSlice = () => {
+        if (activeSearchId !== id) return; // Cancelled or replaced by a newer search
+        const deadline = Date.now() + SLICE_MS;
+
+        try {
+            while (Date.now() < deadline) {
+                if (cellIndex === cellCount) {
+                    postProgress();
+                    activeSearchId = null;
+                    self.postMessage({ type: 'done', id });
+                    return;
+                }
+                if (!iterator) {
+                    iterator = findWordsFromCell(state, Math.floor(cellIndex / cols), cellIndex % cols, grid, searchOptions);
+                }
+                // Run until the next checkpoint, collecting hits on the way
+                let result = iterator.next();
+                while (!result.done && result.value !== null) {
+                    hits.push({ ...result.value, commonness: commonnessScore(result.value.word) });
+                    result = iterator.next();
+                }
+                if (result.done) {
+                    iterator = null;
+                    cellIndex++;
+                    postProgress();
+                }
+            }
+        } catch (error) {
+            activeSearchId = null;
+            self.postMessage({ type: 'error', id, message: error instanceof Error ? error.message : String(error) });
+            return;
+        }
+
+        postProgress();
+        setTimeout(runSlice, 0); // Let pending messages (e.g. cancel) run before continuing
+    };
+
+    runSlice();
+}
+
+// --- Generation ---
+/**
+ * Generates a puzzle in time slices, posting it once done. Stops early if the generation
+ * is cancelled.
+ * @param {number} id Generation id chosen by the page.
+ * @param {object} options See generatePuzzleSteps() in generator.js.
+ */
+function runGeneration(id, options) {
+    const steps = generatePuzzleSteps(dictionaryState, options);
+
+    const runSlice = () => {
+        if (activeGenerationId !== id) return; // Cancelled or replaced by a newer generation
+        const deadline = Date.now() + SLICE_MS;
+
+        try {
+            while (Date.now() < deadline) {
+                const result = steps.next();
+                if (result.done) {
+                    activeGenerationId = null;
+                    self.postMessage({ type: 'generated', id, puzzle: result.value });
+                    return;
+                }
+            }
+        } catch (error) {
+            activeGenerationId = null;
+            self.postMessage({ type: 'error', id, scope: 'generate', message: error instanceof Error ? error.message : String(error) });
+            return;
+        }
+
+        setTimeout(runSlice, 0); // Let pending messages (e.g. cancel) run before continuing
+    };
+
+    runSlice();
+}
+
+// --- Message Handling ---
+self.addEventListener('message', async (e) => {
+    const message = e.data;
+    switch (message.type) {
+        case 'load':
+            try {
+                alphabet = createAlphabet(message.language, message.foldAccents);
+                const [{ dawg, source }, frequencyCount] = await Promise.all([
+                    loadIndex(message.indexUrl, message.url),
+                    loadWordFrequencies(message.frequencyUrl)
+                ]);
+                dictionaryState = { ...dictionaryState, dictionaries: [{ name: message.url, dawg }] };
+                const { wordCount, lengthCounts, properLengthCounts } = dawg.header;
+                self.postMessage({ type: 'indexed', wordCount, lengthCounts, properLengthCounts, source, frequencyCount });
+            } catch (error) {
+                dictionaryState = { ...dictionaryState, dictionaries: [] }; // Don't search the previous language's words
+                self.postMessage({ type: 'error', message: error instanceof Error ? error.message : String(error) });
+            }
+            break;
+        case 'profile':
+            if (dictionaryState.dictionaries.length === 0) {
+                self.postMessage({ type: 'error', scope: 'profile', message: 'Dictionary has not been loaded yet.' });
+                break;
+            }
+            try {
+                const extraWordCount = await applyProfile(message);
+                self.postMessage({ type: 'profileApplied', extraWordCount });
+            } catch (error) {
+                self.postMessage({ type: 'error', scope: 'profile', message: `Could not apply dictionary profile: ${error instanceof Error ? error.message : String(error)}` });
+            }
+            break;
+        case 'solve':
+            if (dictionaryState.dictionaries.length === 0) {
+                self.postMessage({ type: 'error', id: message.id, message: 'Dictionary has not been indexed yet.' });
+                break;
+            }
+            if (!TOPOLOGIES.includes(message.topology)) {
+                self.postMessage({ type: 'error', id: message.id, message: `Unknown board topology "${message.topology}".` });
+                break;
+            }
+            activeSearchId = message.id;
+            runSearch(message.id, message.grid, { minWordLength: message.minWordLength, maxWordLength: message.maxWordLength, topology: message.topology });
+            break;
+        case 'generate':
+            if (dictionaryState.dictionaries.length === 0) {
+                self.postMessage({ type: 'error', id: message.id, scope: 'generate', message: 'Dictionary has not been indexed yet.' });
+                break;
+            }
+            activeGenerationId = message.id;
+            runGeneration(message.id, message.options);
+            break;
+        case 'cancel':
+            if (message.scope === 'generate') {
+                if (activeGenerationId === message.id) {
+                    activeGenerationId = null;
+                    self.postMessage({ type: 'cancelled', id: message.id, scope: 'generate' });
+                }
+            } else if (activeSearchId === message.id) {
+                activeSearchId = null;
+                self.postMessage({ type: 'cancelled', id: message.id });
+            }
+            break;
+    }
+});
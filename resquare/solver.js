@@ -0,0 +1,309 @@
+// Solver core: finds every word in a grid by walking the grid and the dictionary
+// indexes (see dawg.js) together. No DOM or worker APIs, so it runs in the solver
+// worker (via importScripts, after dawg.js) and in Node (solve.js, whose --check mode
+// is the solver's regression check against fixtures/solver).
+//
+// A dictionary state describes what a search runs against:
+//   dictionaries:    [{ name, dawg }] searched together; words are reported with the names containing them
+//   dropProperNouns: skip words flagged as proper nouns
+//   rejectedWords:   Set of words never to report
+
+// In Node, take the DAWG helpers from the CommonJS module; the worker already has them as globals.
+if (typeof module !== 'undefined' && module.exports && typeof dawgFindEdge === 'undefined') {
+    Object.assign(globalThis, require('./dawg.js'));
+}
+
+// --- Configuration ---
+// Define the 8 directions (including diagonals)
+const DIRECTIONS = [
+    [-1, -1], [-1, 0], [-1, 1],  // Up-Left, Up, Up-Right
+    [ 0, -1],          [ 0, 1],  // Left, Right
+    [ 1, -1], [ 1, 0], [ 1, 1]   // Down-Left, Down, Down-Right
+];
+const ORTHOGONAL_DIRECTIONS = [[-1, 0], [0, -1], [0, 1], [1, 0]];
+// Hexagonal grids are stored as rows with every odd row shifted half a tile to the right,
+// so the six neighbours depend on whether the row is even or odd
+const HEX_DIRECTIONS = {
+    even: [[-1, -1], [-1, 0], [0, -1], [0, 1], [1, -1], [1, 0]],
+    odd: [[-1, 0], [-1, 1], [0, -1], [0, 1], [1, 0], [1, 1]]
+};
+// Board topologies: which cells count as adjacent
+//   square:     8 neighbours, the edges are walls (classic Boggle)
+//   orthogonal: 4 neighbours, no diagonal moves
+//   toroidal:   8 neighbours, the edges wrap around to the opposite side
+//   hex:        6 neighbours on a hexagonal grid (odd rows shifted right)
+const TOPOLOGIES = ['square', 'orthogonal', 'toroidal', 'hex'];
+const DEFAULT_TOPOLOGY = 'square';
+const CHECKPOINT_STEPS = 2000; // DFS steps between the checkpoints findWordsFromCell() yields
+const WILDCARD_TILE = '?'; // A blank tile that can stand for any letter
+
+// --- Dictionary State ---
+/**
+ * Creates a dictionary state from indexes or plain word lists.
+ * @param {{name: string, dawg?: object, words?: string[]}[]} dictionaries Each with a decoded index or a list of lowercase words.
+ * @param {{dropProperNouns?: boolean, rejectedWords?: Iterable<string>}} [options]
+ * @returns {{dictionaries: {name: string, dawg: object}[], dropProperNouns: boolean, rejectedWords: Set<string>}}
+ */
+function createDictionaryState(dictionaries, { dropProperNouns = false, rejectedWords = [] } = {}) {
+    return {
+        dictionaries: dictionaries.map(({ name, dawg, words }) => ({ name, dawg: dawg || decodeDawg(buildDawg(words)) })),
+        dropProperNouns,
+        rejectedWords: new Set(rejectedWords)
+    };
+}
+
+// --- Topology ---
+/**
+ * Lists the neighbours of every cell for a board topology.
+ * @param {string} topology One of TOPOLOGIES.
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {number[][][]} neighbours[row * cols + col] = [row, col] cells adjacent to that cell.
+ * @throws {Error} If the topology is unknown.
+ */
+function buildAdjacency(topology, rows, cols) {
+    if (!TOPOLOGIES.includes(topology)) throw new Error(`Unknown board topology "${topology}".`);
+    const adjacency = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            let directions = DIRECTIONS;
+            if (topology === 'orthogonal') directions = ORTHOGONAL_DIRECTIONS;
+            if (topology === 'hex') directions = row % 2 === 0 ? HEX_DIRECTIONS.even : HEX_DIRECTIONS.odd;
+
+            const seen = new Set([row * cols + col]); // On small tori several directions reach the same cell
+            const neighbours = [];
+            directions.forEach(([dr, dc]) => {
+                let nextRow = row + dr;
+                let nextCol = col + dc;
+                if (topology === 'toroidal') {
+                    nextRow = (nextRow + rows) % rows;
+                    nextCol = (nextCol + cols) % cols;
+                }
+                if (nextRow < 0 || nextRow >= rows || nextCol < 0 || nextCol >= cols) return;
+                if (seen.has(nextRow * cols + nextCol)) return;
+                seen.add(nextRow * cols + nextCol);
+                neighbours.push([nextRow, nextCol]);
+            });
+            adjacency.push(neighbours);
+        }
+    }
+    return adjacency;
+}
+
+// --- Core DFS Search ---
+/**
+ * Advances every dictionary by one letter.
+ * @param {object} state The dictionary state the search runs against.
+ * @param {number[]} lists Current edge-list index per dictionary (<= 0 when that dictionary can't continue).
+ * @param {string} letter
+ * @returns {{lists: number[], sources: string[]} | null} The next list indexes and the dictionaries in
+ *   which the extended word is complete, or null if no dictionary has the extended prefix.
+ */
+function stepDictionaries(state, lists, letter) {
+    const { dictionaries, dropProperNouns } = state;
+    const nextLists = new Array(dictionaries.length).fill(-1);
+    const sources = [];
+    let found = false;
+
+    dictionaries.forEach(({ name, dawg }, d) => {
+        const letterIndex = dawg.letterIndex.get(letter);
+        if (lists[d] <= 0 || letterIndex === undefined) return;
+        const edgeIndex = dawgFindEdge(dawg.edges, lists[d], letterIndex);
+        if (edgeIndex === -1) return;
+        const edge = dawg.edges[edgeIndex];
+        found = true;
+        nextLists[d] = edge & DAWG_TARGET_MASK;
+        if ((edge & DAWG_END_OF_WORD) && !(dropProperNouns && (edge & DAWG_PROPER_NOUN))) {
+            sources.push(name);
+        }
+    });
+    return found ? { lists: nextLists, sources } : null;
+}
+
+/**
+ * Works out the ways a tile can extend the current prefix. A normal tile (one or more
+ * letters, e.g. "qu") gives at most one way; a wildcard gives one per letter that some
+ * dictionary can continue with, so pruning still applies to every letter it could be.
+ * A word only counts as complete after the whole tile, never part-way through it.
+ * @param {object} state The dictionary state the search runs against.
+ * @param {number[]} lists Current edge-list index per dictionary.
+ * @param {string} tile
+ * @returns {{lists: number[], sources: string[], letters: string}[]}
+ */
+function tileTransitions(state, lists, tile) {
+    const stepLetters = (letters) => {
+        let current = { lists, sources: [] };
+        for (const letter of letters) {
+            current = stepDictionaries(state, current.lists, letter);
+            if (!current) return null;
+        }
+        return { ...current, letters };
+    };
+
+    if (tile !== WILDCARD_TILE) {
+        const transition = stepLetters(tile);
+        return transition ? [transition] : [];
+    }
+
+    const candidates = new Set();
+    state.dictionaries.forEach(({ dawg }, d) => {
+        if (lists[d] <= 0) return;
+        for (let i = lists[d]; ; i++) {
+            candidates.add(dawg.header.alphabet[dawg.edges[i] >>> DAWG_LETTER_SHIFT]);
+            if (dawg.edges[i] & DAWG_END_OF_LIST) break;
+        }
+    });
+    return Array.from(candidates).sort().map(stepLetters).filter(Boolean);
+}
+
+/**
+ * Depth First Search from one cell, walking every dictionary's DAWG alongside the grid.
+ * Uses a single visited array with backtracking instead of cloning per step.
+ * Yields each hit as { word, path, sources, wildcards }: path is the ordered list of
+ * [row, col] cells, sources the names of the dictionaries containing the word and
+ * wildcards the [row, col, letter] each wildcard tile on the path stood for.
+ * Yields `null` every CHECKPOINT_STEPS steps so the caller can check its time budget.
+ * Every distinct path that spells a word is yielded.
+ * @param {object} state The dictionary state the search runs against.
+ * @param {number} startRow
+ * @param {number} startCol
+ * @param {string[][]} grid Tiles: one or more lowercase letters, or WILDCARD_TILE.
+ * @param {{minWordLength: number, maxWordLength: number, topology?: string, adjacency?: number[][][]}} options
+ *   `adjacency` (from buildAdjacency()) can be passed to avoid rebuilding it for every start cell.
+ */
+function* findWordsFromCell(state, startRow, startCol, grid, { minWordLength, maxWordLength, topology = DEFAULT_TOPOLOGY, adjacency }) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    const neighboursOf = adjacency || buildAdjacency(topology, rows, cols);
+    const isHit = (sources, word) => sources.length > 0 && word.length >= minWordLength && word.length <= maxWordLength && !state.rejectedWords.has(word);
+
+    const visited = new Uint8Array(rows * cols);
+    const path = [];
+    // Frames: { row, col, lists, word, wildcards, moves, nextMove }. `moves` lists the
+    // [row, col, transition] steps out of the frame and is filled in on first visit.
+    // The root frame sits "before" the grid; its only move is onto the start cell.
+    const roots = state.dictionaries.map(({ dawg }) => dawg.header.rootIndex);
+    const stack = [{ row: -1, col: -1, lists: roots, word: '', wildcards: [], moves: null, nextMove: 0 }];
+
+    let steps = 0;
+    while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+
+        if (frame.moves === null) {
+            frame.moves = [];
+            if (frame.word.length < maxWordLength && frame.lists.some(list => list > 0)) {
+                const neighbours = frame.row === -1
+                    ? [[startRow, startCol]]
+                    : neighboursOf[frame.row * cols + frame.col];
+                neighbours.forEach(([nextRow, nextCol]) => {
+                    // --- Crucial Pruning Step ---
+                    // Only moves that extend a prefix in some dictionary are kept
+                    tileTransitions(state, frame.lists, grid[nextRow][nextCol])
+                        .forEach(transition => frame.moves.push([nextRow, nextCol, transition]));
+                });
+            }
+        }
+
+        if (frame.nextMove === frame.moves.length) {
+            // All moves explored: backtrack
+            if (frame.row !== -1) {
+                visited[frame.row * cols + frame.col] = 0;
+                path.pop();
+            }
+            stack.pop();
+            continue;
+        }
+
+        const [nextRow, nextCol, transition] = frame.moves[frame.nextMove++];
+        if (++steps % CHECKPOINT_STEPS === 0) yield null;
+        if (visited[nextRow * cols + nextCol]) continue;
+
+        const nextWord = frame.word + transition.letters;
+        if (nextWord.length > maxWordLength) continue; // A multi-letter tile can overshoot
+        const wildcards = grid[nextRow][nextCol] === WILDCARD_TILE
+            ? [...frame.wildcards, [nextRow, nextCol, transition.letters]]
+            : frame.wildcards;
+
+        visited[nextRow * cols + nextCol] = 1;
+        path.push([nextRow, nextCol]);
+        stack.push({ row: nextRow, col: nextCol, lists: transition.lists, word: nextWord, wildcards, moves: null, nextMove: 0 });
+        if (isHit(transition.sources, nextWord)) {
+            yield { word: nextWord, path: path.slice(), sources: transition.sources, wildcards };
+        }
+    }
+}
+
+/**
+ * Solves a whole grid, yielding `null` at every checkpoint of the search (see
+ * findWordsFromCell()) and after each start cell, so a caller working in time slices
+ * can stop or pause it.
+ * @param {string[][]} grid Tiles: one or more lowercase letters, or WILDCARD_TILE.
+ * @param {object} state The dictionary state to search against, see createDictionaryState().
+ * @param {{minWordLength: number, maxWordLength: number, topology?: string}} options
+ * @returns {Generator<null, {word: string, paths: number[][][], sources: string[], wildcards: number[][][]}[]>}
+ *   Returns each word once, alphabetically, with every path that spells it (start cells in
+ *   reading order). `wildcards` runs parallel to `paths`.
+ */
+function* solveGridSteps(grid, state, options) {
+    const words = new Map();
+    const adjacency = buildAdjacency(options.topology || DEFAULT_TOPOLOGY, grid.length, grid[0].length);
+    for (let r = 0; r < grid.length; r++) {
+        for (let c = 0; c < grid[r].length; c++) {
+            for (const hit of findWordsFromCell(state, r, c, grid, { ...options, adjacency })) {
+                if (hit === null) {
+                    yield null; // Checkpoint
+                    continue;
+                }
+                if (!words.has(hit.word)) {
+                    words.set(hit.word, { word: hit.word, paths: [], sources: [], wildcards: [] });
+                }
+                const entry = words.get(hit.word);
+                entry.paths.push(hit.path);
+                entry.wildcards.push(hit.wildcards);
+                entry.sources = Array.from(new Set([...entry.sources, ...hit.sources]));
+            }
+            yield null; // Checkpoint after each start cell, as short searches never reach one
+        }
+    }
+    return Array.from(words.values()).sort((a, b) => a.word.localeCompare(b.word));
+}
+
+/**
+ * Runs a generator that only yields checkpoints (such as solveGridSteps()) to the end.
+ * @param {Generator<null, *>} steps
+ * @returns {*} What the generator returns.
+ */
+function runSteps(steps) {
+    let result = steps.next();
+    while (!result.done) result = steps.next();
+    return result.value;
+}
+
+/**
+ * Solves a whole grid in one go.
+ * @param {string[][]} grid Tiles: one or more lowercase letters, or WILDCARD_TILE.
+ * @param {object} state The dictionary state to search against, see createDictionaryState().
+ * @param {{minWordLength: number, maxWordLength: number, topology?: string}} options
+ * @returns {{word: string, paths: number[][][], sources: string[], wildcards: number[][][]}[]} See solveGridSteps().
+ */
+function solveGrid(grid, state, options) {
+    return runSteps(solveGridSteps(grid, state, options));
+}
+
+// Node (solve.js) uses this as a CommonJS module; the worker gets the globals via importScripts.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DIRECTIONS,
+        TOPOLOGIES,
+        DEFAULT_TOPOLOGY,
+        WILDCARD_TILE,
+        buildAdjacency,
+        createDictionaryState,
+        stepDictionaries,
+        tileTransitions,
+        findWordsFromCell,
+        solveGridSteps,
+        runSteps,
+        solveGrid
+    };
+}
@@ -0,0 +1,76 @@
+// Word commonness, shared by the solver worker (scores sent with every result and used
+// by the puzzle generator) and Node (solve.js, generator.js).
+//
+// Scores use the Zipf scale of the bundled frequency list (frequencies.txt, see
+// build-frequencies.js): log10 of occurrences per billion words, roughly 1.3-7.
+// Words missing from the list score below 1, ordered by how common their letters are,
+// so they always rank under every listed word.
+
+// --- Configuration ---
+const DEFAULT_LIKELY_THRESHOLD = 3; // Zipf score from which a word is a likely answer (~1 per million words)
+// Relative letter frequencies in English text (%)
+const LETTER_FREQUENCIES = {
+    a: 8.2, b: 1.5, c: 2.8, d: 4.3, e: 12.7, f: 2.2, g: 2.0, h: 6.1, i: 7.0, j: 0.15, k: 0.77, l: 4.0, m: 2.4,
+    n: 6.7, o: 7.5, p: 1.9, q: 0.095, r: 6.0, s: 6.3, t: 9.1, u: 2.8, v: 0.98, w: 2.4, x: 0.15, y: 2.0, z: 0.074
+};
+const MAX_LETTER_SCORE = Math.log(LETTER_FREQUENCIES.e);
+
+// --- Global Variables ---
+let wordFrequencies = new Map(); // Key: word, Value: Zipf score; empty until setWordFrequencies()
+
+/**
+ * Parses frequencies.txt: "word zipf" per line, '#' comments ignored.
+ * @param {string} text
+ * @returns {Map<string, number>}
+ */
+function parseWordFrequencies(text) {
+    const frequencies = new Map();
+    text.split(/\r?\n/).forEach(line => {
+        const [word, zipf] = line.trim().split(/\s+/);
+        if (!word || word.startsWith('#')) return;
+        const score = parseFloat(zipf);
+        if (!Number.isNaN(score)) frequencies.set(word.toLowerCase(), score);
+    });
+    return frequencies;
+}
+
+/**
+ * Replaces the frequency table that commonnessScore() reads.
+ * @param {Map<string, number>} frequencies
+ */
+function setWordFrequencies(frequencies) {
+    wordFrequencies = frequencies;
+}
+
+/**
+ * Estimates how common a word is from how common its letters are in English text.
+ * Used for words missing from the frequency list.
+ * @param {string} word
+ * @returns {number} In [0, 1); higher is more common.
+ */
+function letterScore(word) {
+    const total = Array.from(word).reduce((sum, letter) => sum + Math.log(LETTER_FREQUENCIES[letter] || 0.05), 0);
+    const average = total / word.length; // Between log(0.05) and MAX_LETTER_SCORE
+    return Math.max(0, (average - Math.log(0.05)) / (MAX_LETTER_SCORE - Math.log(0.05))) * 0.99;
+}
+
+/**
+ * Scores how common a word is.
+ * @param {string} word Lowercase.
+ * @returns {number} The word's Zipf frequency, or letterScore() (below 1) if it isn't listed.
+ */
+function commonnessScore(word) {
+    const zipf = wordFrequencies.get(word);
+    return zipf === undefined ? letterScore(word) : zipf;
+}
+
+// Node (generator.js, solve.js) uses this as a CommonJS module; the worker gets the globals via importScripts.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_LIKELY_THRESHOLD,
+        LETTER_FREQUENCIES,
+        parseWordFrequencies,
+        setWordFrequencies,
+        commonnessScore
+    };
+}